@@ -0,0 +1,115 @@
+/**
+ * @description Background service worker. Keyboard shortcuts declared under `commands` in the
+ * manifest are delivered here, so they are relayed to the navigator in the active tab. It also
+ * owns the cross-platform chat index, which content scripts can only reach by message, and
+ * registers the navigator on custom sites defined on the options page.
+ */
+importScripts('chat-index.js', 'content-scripts/custom-sites.js');
+
+const chatIndex = new ChatIndex();
+const customSiteStore = new CustomSiteStore();
+
+/**
+ * @constant {Array<string>} CUSTOM_SITE_SCRIPTS
+ * @description The navigator scripts injected into custom sites, in the order the manifest
+ * injects them into built-in platforms, with the generic parser in place of a platform's.
+ */
+const CUSTOM_SITE_SCRIPTS = [
+  'content-scripts/base-parser.js',
+  'content-scripts/custom-sites.js',
+  'content-scripts/custom.js',
+  'content-scripts/settings.js',
+  'content-scripts/stored-list.js',
+  'content-scripts/pin-store.js',
+  'content-scripts/template-store.js',
+  'content-scripts/exporter.js',
+  'content-scripts/navigation.js',
+  'content-scripts/position-tracker.js',
+  'content-scripts/ui-handler.js'
+];
+
+let customSitesSync = Promise.resolve();
+
+/**
+ * @function syncCustomSites
+ * @description Registers the navigator scripts for every custom site whose host the user has
+ * allowed, replacing the previous registration.
+ * @returns {Promise<void>}
+ */
+async function syncCustomSites() {
+  const matches = [];
+  for (const site of await customSiteStore.getAll()) {
+    if (!matches.includes(site.matches) && await chrome.permissions.contains({ origins: [site.matches] })) {
+      matches.push(site.matches);
+    }
+  }
+
+  const ids = ['custom-sites', 'custom-sites-hook'];
+  const registered = await chrome.scripting.getRegisteredContentScripts({ ids });
+  if (registered.length) {
+    await chrome.scripting.unregisterContentScripts({ ids: registered.map(script => script.id) });
+  }
+  if (matches.length === 0) return;
+
+  // Built-in platforms already get their scripts from the manifest; a custom site there only overrides selectors
+  const excludeMatches = [...new Set(chrome.runtime.getManifest().content_scripts.flatMap(entry => entry.matches))];
+
+  await chrome.scripting.registerContentScripts([
+    {
+      id: 'custom-sites-hook',
+      matches,
+      excludeMatches,
+      js: ['content-scripts/navigation-hook.js'],
+      world: 'MAIN',
+      runAt: 'document_start'
+    },
+    {
+      id: 'custom-sites',
+      matches,
+      excludeMatches,
+      js: CUSTOM_SITE_SCRIPTS
+    }
+  ]);
+}
+
+/**
+ * @function scheduleCustomSitesSync
+ * @description Queues a sync so overlapping changes register in order.
+ */
+function scheduleCustomSitesSync() {
+  customSitesSync = customSitesSync.then(syncCustomSites).catch(error => {
+    console.error('Chat Navigator: could not register custom sites', error);
+  });
+}
+
+chrome.runtime.onInstalled.addListener(scheduleCustomSitesSync);
+chrome.permissions.onAdded.addListener(scheduleCustomSitesSync);
+chrome.permissions.onRemoved.addListener(scheduleCustomSitesSync);
+customSiteStore.onChange(scheduleCustomSitesSync);
+
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  const target = tab || (await chrome.tabs.query({ active: true, currentWindow: true }))[0];
+  if (!target || target.id === undefined) return;
+
+  try {
+    await chrome.tabs.sendMessage(target.id, { type: 'chatNavigatorCommand', command });
+  } catch (e) {
+    // No navigator is running in this tab (unsupported site or not loaded yet)
+  }
+});
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message) return false;
+
+  if (message.type === 'chatIndexRecord') {
+    chatIndex.record(message.entry).then(() => sendResponse(true), () => sendResponse(false));
+    return true;
+  }
+
+  if (message.type === 'chatIndexSearch') {
+    chatIndex.search(message.query, message.limit).then(sendResponse, () => sendResponse([]));
+    return true;
+  }
+
+  return false;
+});
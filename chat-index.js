@@ -0,0 +1,144 @@
+/**
+ * @class ChatIndex
+ * @description A local index of the conversations visited on every platform, kept in IndexedDB.
+ * IndexedDB is per origin, so the index lives in the extension's origin: the background service
+ * worker records and searches it for content scripts, and extension pages can open it directly.
+ * @param {string} [dbName] - The IndexedDB database name.
+ */
+class ChatIndex {
+  constructor(dbName = 'chatNavigator') {
+    this.dbName = dbName;
+    this.storeName = 'chats';
+    this.dbPromise = null;
+  }
+
+  /**
+   * @method open
+   * @description Opens the database, creating the chats store on first use.
+   * @returns {Promise<IDBDatabase>} The database.
+   */
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(this.storeName, { keyPath: 'url' });
+          store.createIndex('lastSeen', 'lastSeen');
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * @method getStore
+   * @description Opens a transaction on the chats store.
+   * @param {string} mode - 'readonly' or 'readwrite'.
+   * @returns {Promise<IDBObjectStore>} The store.
+   */
+  async getStore(mode) {
+    const db = await this.open();
+    return db.transaction(this.storeName, mode).objectStore(this.storeName);
+  }
+
+  /**
+   * @method toPromise
+   * @description Wraps an IndexedDB request in a promise.
+   * @param {IDBRequest} request - The request.
+   * @returns {Promise<*>} Resolves with the request's result.
+   */
+  toPromise(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * @method record
+   * @description Adds or updates a visited conversation. An empty title or question list keeps the
+   * one recorded before, since a conversation may be saved before it has fully loaded.
+   * @param {{url: string, platform: string, title: string, questions: Array<string>}} entry - The conversation.
+   * @returns {Promise<object>} The saved entry, with its `lastSeen` timestamp.
+   */
+  async record(entry) {
+    const store = await this.getStore('readwrite');
+    const existing = await this.toPromise(store.get(entry.url)) || {};
+    const saved = {
+      url: entry.url,
+      platform: entry.platform,
+      title: entry.title || existing.title || '',
+      questions: entry.questions.length ? entry.questions : (existing.questions || []),
+      lastSeen: Date.now()
+    };
+
+    await this.toPromise(store.put(saved));
+    return saved;
+  }
+
+  /**
+   * @method search
+   * @description Finds conversations on any platform whose title or questions contain every word of
+   * the query. Title matches rank first, then the most recently seen. An empty query lists the most
+   * recently seen conversations.
+   * @param {string} query - The search query.
+   * @param {number} [limit] - The maximum number of results.
+   * @returns {Promise<Array<{url: string, platform: string, title: string, lastSeen: number, matchedQuestion: string|null}>>} The matching conversations.
+   */
+  async search(query, limit = 20) {
+    const store = await this.getStore('readonly');
+    const entries = await this.toPromise(store.getAll());
+    const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const results = [];
+
+    entries.forEach(entry => {
+      const title = entry.title.toLowerCase();
+      const questions = entry.questions.map(question => question.toLowerCase());
+      const found = token => title.includes(token) || questions.some(question => question.includes(token));
+      if (!tokens.every(found)) return;
+
+      const matchedIndex = tokens.length
+        ? questions.findIndex(question => tokens.some(token => question.includes(token)))
+        : -1;
+
+      results.push({
+        url: entry.url,
+        platform: entry.platform,
+        title: entry.title,
+        lastSeen: entry.lastSeen,
+        matchedQuestion: matchedIndex >= 0 ? entry.questions[matchedIndex] : null,
+        score: tokens.filter(token => title.includes(token)).length
+      });
+    });
+
+    return results
+      .sort((a, b) => b.score - a.score || b.lastSeen - a.lastSeen)
+      .slice(0, limit)
+      .map(({ score, ...result }) => result);
+  }
+
+  /**
+   * @method count
+   * @description Counts the indexed conversations.
+   * @returns {Promise<number>} The number of conversations.
+   */
+  async count() {
+    const store = await this.getStore('readonly');
+    return this.toPromise(store.count());
+  }
+
+  /**
+   * @method clear
+   * @description Deletes every indexed conversation.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const store = await this.getStore('readwrite');
+    await this.toPromise(store.clear());
+  }
+}
+
+// Export for use in the background service worker and extension pages
+self.ChatIndex = ChatIndex;
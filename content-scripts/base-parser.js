@@ -0,0 +1,913 @@
+/**
+ * @constant {object} BASE_PARSER_DEFAULTS
+ * @description Default values for the platform configuration accepted by BaseChatParser.
+ */
+const BASE_PARSER_DEFAULTS = {
+  // Prefix for generated IDs, e.g. 'claude' -> 'claude-user-1k3f9x', 'claude-chat-<id>'
+  platform: 'chat',
+
+  // Questions
+  userMessageSelectors: [],
+  fallbackUserMessageSelectors: [],
+  conversationMessageSelectors: [],
+  conversationExclusions: {
+    containsSelector: null,
+    matchesSelector: null,
+    textIncludes: []
+  },
+  textSelector: null,
+  textFallbackToMessage: true,
+  // Attributes holding the platform's own message ID, tried in order
+  messageIdAttributes: [],
+  minQuestionLength: 10,
+  maxQuestionLength: 100,
+  questionSkipPattern: null,
+  // Question details shown as badges. The turn container is the element around a user message
+  // holding its edit-version switcher (e.g. "2/3") and time, if they sit outside the message
+  attachmentSelectors: {
+    image: 'img',
+    file: '[data-testid*="attachment"], [data-testid*="file"]'
+  },
+  codeSelector: 'pre, code',
+  timeSelector: 'time[datetime]',
+  turnContainerSelector: null,
+  maxPreviewLength: 500,
+
+  // Answers
+  assistantMessageSelectors: [],
+  answerOutlineSelector: 'h1, h2, h3, h4, pre',
+  maxOutlineLength: 80,
+
+  // Chats
+  chatSelectors: [],
+  chatTitleSelectors: [],
+  chatTitleFallbackToItem: true,
+  chatTitleSkipPattern: null,
+  chatIdPattern: null,
+  maxTitleLength: 50,
+  currentChatSelectors: [],
+  currentChatExcludePattern: null,
+
+  // Roots, tried in order. The UI only watches these for changes; without a conversation root it
+  // watches the whole page
+  conversationRootSelectors: ['main'],
+  sidebarRootSelectors: ['nav', 'aside'],
+
+  // The message box prompts are inserted into, tried in order; the first visible match is used
+  composerSelectors: ['textarea', '[contenteditable="true"][role="textbox"]', '[contenteditable="true"]']
+};
+
+/**
+ * @constant {string} NAV_ID_ATTRIBUTE
+ * @description Attribute used to tag message elements with their navigator ID without touching the host's own `id`.
+ */
+const NAV_ID_ATTRIBUTE = 'data-chat-nav-id';
+
+/**
+ * @constant {RegExp} BRANCH_COUNTER_PATTERN
+ * @description The text of an edit-version switcher, such as ChatGPT's "2/3" or "2 / 3".
+ */
+const BRANCH_COUNTER_PATTERN = /^(\d+)\s*\/\s*(\d+)$/;
+
+/**
+ * @constant {number} DRIFT_TEXT_THRESHOLD
+ * @description Characters of text in the conversation root above which finding no messages at all
+ * is treated as broken selectors rather than an empty chat.
+ */
+const DRIFT_TEXT_THRESHOLD = 500;
+
+/**
+ * @class BaseChatParser
+ * @description Shared question and chat extraction logic. Platform parsers extend this class and
+ * pass a declarative config describing their selectors, exclusion rules and fallbacks.
+ * @param {object} config - The platform configuration, merged over BASE_PARSER_DEFAULTS.
+ */
+class BaseChatParser {
+  constructor(config) {
+    this.config = {
+      ...BASE_PARSER_DEFAULTS,
+      ...config,
+      conversationExclusions: {
+        ...BASE_PARSER_DEFAULTS.conversationExclusions,
+        ...(config.conversationExclusions || {})
+      }
+    };
+
+    // How the last extraction of each list went, for getDiagnostics()
+    this.diagnostics = { questions: null, answers: null, chats: null };
+    // The user-defined site applied by applyCustomSite(), if any
+    this.customSite = null;
+  }
+
+  /**
+   * @method applyCustomSite
+   * @description Replaces the configured selectors with those of a site defined on the options
+   * page. Optional selectors the site leaves empty keep the platform's own.
+   * @param {object} site - The site from the CustomSiteStore.
+   */
+  applyCustomSite(site) {
+    this.customSite = site;
+
+    Object.assign(this.config, {
+      userMessageSelectors: [site.userMessageSelector],
+      fallbackUserMessageSelectors: [],
+      conversationMessageSelectors: [],
+      // The platform's own text selector is unlikely to fit the new message selector
+      textSelector: site.textSelector || null,
+      textFallbackToMessage: true
+    });
+
+    if (site.chatSelector) {
+      Object.assign(this.config, {
+        chatSelectors: [site.chatSelector],
+        chatTitleSelectors: [],
+        chatTitleFallbackToItem: true
+      });
+    }
+    if (site.chatIdPattern) {
+      this.config.chatIdPattern = new RegExp(site.chatIdPattern);
+    }
+  }
+
+  /**
+   * @method getQuestions
+   * @description Extracts all user questions from the current conversation.
+   * @returns {Array<{id: string, text: string, fingerprint: string, turn: number, length: number, fullText: string, preview: string, attachments: Array<string>, hasCode: boolean, time: string|null, branch: {current: number, total: number}|null}>} An array of question objects, each with a unique ID, the truncated text, a fingerprint of the full text, its 1-based turn and the details from getQuestionDetails().
+   */
+  getQuestions() {
+    const questions = [];
+    const occurrences = new Map();
+    const { minQuestionLength, maxQuestionLength, questionSkipPattern } = this.config;
+    const report = { dropped: { tooShort: 0, skipped: 0 } };
+
+    this.getUserMessages(report).forEach(message => {
+      const text = this.getMessageText(message);
+
+      // Skip empty or very short texts and obvious non-questions
+      if (!text || text.length < minQuestionLength) {
+        report.dropped.tooShort++;
+        return;
+      }
+      if (questionSkipPattern && questionSkipPattern.test(text)) {
+        report.dropped.skipped++;
+        return;
+      }
+
+      const messageId = this.getMessageId(message, text, occurrences);
+      message.setAttribute(NAV_ID_ATTRIBUTE, messageId);
+
+      questions.push({
+        id: messageId,
+        text: this.truncate(text, maxQuestionLength),
+        fingerprint: this.getFingerprint(text),
+        turn: questions.length + 1,
+        ...this.getQuestionDetails(message, text)
+      });
+    });
+
+    report.kept = questions.length;
+    this.diagnostics.questions = report;
+    return questions;
+  }
+
+  /**
+   * @method getQuestionDetails
+   * @description Describes a user message beyond its text: its full length and untruncated text, a
+   * longer preview, the kinds of attachment it has, whether it contains code, when it was sent and
+   * which edit version it is. Time and version are only known on platforms that render them.
+   * @param {Element} message - The message element.
+   * @param {string} text - The full message text.
+   * @returns {{length: number, fullText: string, preview: string, attachments: Array<string>, hasCode: boolean, time: string|null, branch: {current: number, total: number}|null}} The details.
+   */
+  getQuestionDetails(message, text) {
+    const { attachmentSelectors, codeSelector, timeSelector, turnContainerSelector, maxPreviewLength } = this.config;
+    const turn = (turnContainerSelector && message.closest(turnContainerSelector)) || message;
+
+    const attachments = Object.keys(attachmentSelectors)
+      .filter(type => attachmentSelectors[type] && message.querySelector(attachmentSelectors[type]));
+
+    const timeElement = timeSelector ? turn.querySelector(timeSelector) : null;
+    const switcher = this.findBranchSwitcher(turn, this.getTextElement(message));
+    const time = timeElement
+      ? timeElement.getAttribute('datetime') || timeElement.getAttribute('title') || timeElement.textContent.trim() || null
+      : null;
+
+    return {
+      length: text.length,
+      fullText: text,
+      preview: this.truncate(text, maxPreviewLength),
+      attachments,
+      hasCode: !!(codeSelector && message.querySelector(codeSelector)) || text.includes('```'),
+      time,
+      branch: switcher && { current: switcher.current, total: switcher.total }
+    };
+  }
+
+  /**
+   * @method findBranchSwitcher
+   * @description Reads the edit-version switcher of a turn, e.g. "2/3" after a prompt was edited twice.
+   * @param {Element} turn - The turn container, or the message itself.
+   * @param {Element|null} textElement - The message content, whose text is never taken for a switcher.
+   * @returns {{counter: Element, current: number, total: number}|null} The counter element, the version shown and how many there are, or null if the prompt was never edited.
+   */
+  findBranchSwitcher(turn, textElement) {
+    for (const element of turn.querySelectorAll('div, span')) {
+      if (element.childElementCount || (textElement && textElement.contains(element))) continue;
+
+      const match = BRANCH_COUNTER_PATTERN.exec(element.textContent.trim());
+      if (match && Number(match[2]) > 1) {
+        return { counter: element, current: Number(match[1]), total: Number(match[2]) };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @method getBranchControls
+   * @description Finds the platform's own controls for switching a prompt between its edit
+   * versions: the buttons on either side of the "2/3" counter.
+   * @param {Element} element - The user message, or its turn container.
+   * @returns {{turn: Element, current: number, total: number, previous: Element|null, next: Element|null}|null} The turn container, the version shown, how many there are and the previous and next buttons, or null if the prompt has no versions.
+   */
+  getBranchControls(element) {
+    const { turnContainerSelector } = this.config;
+    const turn = (turnContainerSelector && element.closest(turnContainerSelector)) || element;
+    // Given the container, the text fallback may be the container itself
+    const textElement = this.getTextElement(element);
+    const switcher = this.findBranchSwitcher(turn, textElement === turn ? null : textElement);
+    if (!switcher) return null;
+
+    const { counter, current, total } = switcher;
+    const buttons = [...counter.parentElement.querySelectorAll('button')];
+    const previous = buttons.filter(button => button.compareDocumentPosition(counter) & Node.DOCUMENT_POSITION_FOLLOWING).pop() || null;
+    const next = buttons.find(button => counter.compareDocumentPosition(button) & Node.DOCUMENT_POSITION_FOLLOWING) || null;
+
+    return { turn, current, total, previous, next };
+  }
+
+  /**
+   * @method getUserMessages
+   * @description Collects candidate user message elements from the configured selectors.
+   * @param {object} [report] - Filled in with the strategy that found the messages, per-selector match counts and the number of distinct messages.
+   * @returns {Array<Element>} The candidate message elements.
+   */
+  getUserMessages(report = {}) {
+    const { userMessageSelectors, fallbackUserMessageSelectors, conversationMessageSelectors } = this.config;
+    report.selectors = [];
+
+    let messages = this.queryAll(userMessageSelectors, report.selectors);
+    report.strategy = messages.length ? 'primary' : 'none';
+
+    // Try fallback selectors only if the primary ones found nothing
+    if (messages.length === 0) {
+      messages = this.queryAll(fallbackUserMessageSelectors, report.selectors);
+      report.strategy = messages.length ? 'fallback' : 'none';
+    }
+
+    // Also sweep generic conversation containers for anything that looks like a user message
+    let swept = 0;
+    this.queryAll(conversationMessageSelectors, report.selectors).forEach(message => {
+      if (this.isUserMessage(message)) {
+        messages.push(message);
+        swept++;
+      }
+    });
+    if (swept && report.strategy === 'none') {
+      report.strategy = 'conversation';
+    }
+
+    // Broad selectors overlap, so collapse duplicates and nested matches to one element per turn
+    const unique = this.dedupeElements(messages);
+    report.matched = unique.length;
+    return unique;
+  }
+
+  /**
+   * @method isUserMessage
+   * @description Checks a generic conversation message against the configured exclusion rules.
+   * Broad conversation selectors also match the rows around an answer and the parts inside it, so
+   * an element is excluded when it is, contains or sits inside an assistant message.
+   * @param {Element} message - The message element to check.
+   * @returns {boolean} True if the message does not look like an assistant message.
+   */
+  isUserMessage(message) {
+    const { containsSelector, matchesSelector, textIncludes } = this.config.conversationExclusions;
+    const text = message.textContent;
+
+    if (!text || !text.trim()) {
+      return false;
+    }
+    if (containsSelector && (message.matches(containsSelector) || message.querySelector(containsSelector))) {
+      return false;
+    }
+    if (matchesSelector && (message.closest(matchesSelector) || message.querySelector(matchesSelector))) {
+      return false;
+    }
+
+    return !textIncludes.some(marker => text.includes(marker));
+  }
+
+  /**
+   * @method getMessageText
+   * @description Extracts the trimmed text of a user message.
+   * @param {Element} message - The message element.
+   * @returns {string} The message text, or an empty string if none was found.
+   */
+  getMessageText(message) {
+    const textElement = this.getTextElement(message);
+    return textElement ? textElement.textContent.trim() : '';
+  }
+
+  /**
+   * @method getTextElement
+   * @description Finds the element holding the content of a user message.
+   * @param {Element} message - The message element.
+   * @returns {Element|null} The content element, or null if none was found.
+   */
+  getTextElement(message) {
+    const { textSelector, textFallbackToMessage } = this.config;
+    const textElement = textSelector ? message.querySelector(textSelector) : null;
+
+    if (!textElement && textFallbackToMessage) {
+      return message;
+    }
+
+    return textElement;
+  }
+
+  /**
+   * @method getMessageId
+   * @description Builds a stable ID for a message. The platform's own message ID is used when
+   * available; otherwise the ID is a hash of the text plus how many identical messages precede it,
+   * so it survives messages being virtualized or prepended.
+   * @param {Element} message - The message element.
+   * @param {string} text - The full message text.
+   * @param {Map<string, number>} occurrences - Counts of each hash seen so far in this pass.
+   * @param {string} [prefix] - The ID prefix, defaulting to the platform name.
+   * @returns {string} The message ID.
+   */
+  getMessageId(message, text, occurrences, prefix = this.config.platform) {
+    const { messageIdAttributes } = this.config;
+
+    for (const attribute of messageIdAttributes) {
+      const nativeId = message.getAttribute(attribute);
+      if (nativeId) {
+        return `${prefix}-${nativeId.replace(/[^\w-]/g, '_')}`;
+      }
+    }
+
+    const hash = this.hashString(text);
+    const count = occurrences.get(hash) || 0;
+    occurrences.set(hash, count + 1);
+
+    return count === 0 ? `${prefix}-${hash}` : `${prefix}-${hash}-${count}`;
+  }
+
+  /**
+   * @method getAnswers
+   * @description Extracts all assistant answers from the current conversation, each with an outline
+   * of its headings and code blocks nested by heading level.
+   * @returns {Array<{id: string, text: string, type: string, fingerprint: string, children: Array<object>}>} An array of answer nodes.
+   */
+  getAnswers() {
+    const answers = [];
+    const occurrences = new Map();
+    const { platform, assistantMessageSelectors, maxQuestionLength } = this.config;
+    const report = { selectors: [], dropped: { empty: 0 } };
+    const messages = this.dedupeElements(this.queryAll(assistantMessageSelectors, report.selectors));
+    report.strategy = messages.length ? 'primary' : 'none';
+    report.matched = messages.length;
+
+    messages.forEach(message => {
+      const text = message.textContent.trim();
+      if (!text) {
+        report.dropped.empty++;
+        return;
+      }
+
+      const answerId = this.getMessageId(message, text, occurrences, `${platform}-answer`);
+      message.setAttribute(NAV_ID_ATTRIBUTE, answerId);
+
+      // Label the answer with its first paragraph, since block elements run together in textContent
+      const firstParagraph = message.querySelector('p');
+      const label = (firstParagraph && firstParagraph.textContent.trim()) || text;
+
+      answers.push({
+        id: answerId,
+        text: this.truncate(label.replace(/\s+/g, ' '), maxQuestionLength),
+        type: 'answer',
+        fingerprint: this.getFingerprint(text),
+        children: this.getAnswerOutline(message, answerId)
+      });
+    });
+
+    report.kept = answers.length;
+    this.diagnostics.answers = report;
+    return answers;
+  }
+
+  /**
+   * @method getAnswerOutline
+   * @description Builds a tree of the headings and code blocks inside an answer. Code blocks and
+   * deeper headings are nested under the closest preceding heading of a higher level.
+   * @param {Element} message - The answer element.
+   * @param {string} answerId - The ID of the answer, used to derive the IDs of outline nodes.
+   * @returns {Array<{id: string, text: string, type: string, level: number, children: Array<object>}>} The top-level outline nodes.
+   */
+  getAnswerOutline(message, answerId) {
+    const outline = [];
+    const stack = [];
+    let codeBlocks = 0;
+
+    message.querySelectorAll(this.config.answerOutlineSelector).forEach((element, index) => {
+      const isCode = element.tagName === 'PRE';
+      const text = isCode ? this.getCodeBlockLabel(element, ++codeBlocks) : element.textContent.trim();
+      if (!text) {
+        return;
+      }
+
+      const nodeId = `${answerId}-${index}`;
+      element.setAttribute(NAV_ID_ATTRIBUTE, nodeId);
+
+      const node = {
+        id: nodeId,
+        text: this.truncate(text, this.config.maxOutlineLength),
+        type: isCode ? 'code' : 'heading',
+        level: isCode ? Infinity : Number(element.tagName.charAt(1)),
+        children: []
+      };
+
+      while (stack.length && stack[stack.length - 1].level >= node.level) {
+        stack.pop();
+      }
+
+      const parent = stack[stack.length - 1];
+      (parent ? parent.children : outline).push(node);
+
+      if (!isCode) {
+        stack.push(node);
+      }
+    });
+
+    return outline;
+  }
+
+  /**
+   * @method getCodeBlockLabel
+   * @description Builds a label for a code block from its language and first line.
+   * @param {Element} pre - The `pre` element of the code block.
+   * @param {number} position - The 1-based position of the code block within its answer.
+   * @returns {string} The label, e.g. "python: def main():".
+   */
+  getCodeBlockLabel(pre, position) {
+    const code = pre.querySelector('code') || pre;
+    const languageClass = [...code.classList].find(name => name.startsWith('language-'));
+    const language = languageClass ? languageClass.replace('language-', '') : `Code block ${position}`;
+    const firstLine = code.textContent.trim().split('\n')[0].trim();
+
+    return firstLine ? `${language}: ${firstLine}` : language;
+  }
+
+  /**
+   * @method getTurns
+   * @description Collects the whole conversation as ordered user and assistant turns.
+   * @returns {Array<{role: string, element: Element}>} The turns in document order, each with the element holding its content.
+   */
+  getTurns() {
+    const { assistantMessageSelectors, minQuestionLength, questionSkipPattern } = this.config;
+    const roles = new Map();
+
+    this.getUserMessages().forEach(message => {
+      const text = this.getMessageText(message);
+      if (text.length >= minQuestionLength && !(questionSkipPattern && questionSkipPattern.test(text))) {
+        roles.set(message, 'user');
+      }
+    });
+    this.queryAll(assistantMessageSelectors).forEach(message => {
+      if (!roles.has(message) && message.textContent.trim()) {
+        roles.set(message, 'assistant');
+      }
+    });
+
+    return this.dedupeElements([...roles.keys()]).map(message => {
+      const role = roles.get(message);
+      return {
+        role,
+        element: role === 'user' ? this.getTextElement(message) : message
+      };
+    });
+  }
+
+  /**
+   * @method getChats
+   * @description Extracts the list of previous chats from the platform's sidebar, falling back to the current conversation.
+   * @returns {Array<{id: string, title: string, url: string}>} An array of chat objects, each with a unique ID, title, and URL.
+   */
+  getChats() {
+    const chats = [];
+    const seenUrls = new Set();
+    const { platform, chatSelectors, chatTitleSkipPattern, chatIdPattern, maxTitleLength } = this.config;
+    const report = { selectors: [], dropped: { untitled: 0, skipped: 0, duplicate: 0 } };
+    const items = this.dedupeElements(this.queryAll(chatSelectors, report.selectors));
+    report.strategy = items.length ? 'primary' : 'none';
+    report.matched = items.length;
+
+    items.forEach((item, index) => {
+      const title = this.getChatTitle(item);
+      if (!title) {
+        report.dropped.untitled++;
+        return;
+      }
+
+      // Skip navigation items
+      if (chatTitleSkipPattern && chatTitleSkipPattern.test(title)) {
+        report.dropped.skipped++;
+        return;
+      }
+
+      const href = item.href || item.closest('a')?.href || item.querySelector('a[href]')?.href;
+
+      // Different sidebar sections can link the same chat more than once
+      if (href) {
+        if (seenUrls.has(href)) {
+          report.dropped.duplicate++;
+          return;
+        }
+        seenUrls.add(href);
+      }
+
+      // Generate ID from href or index
+      let chatId = `${platform}-chat-${index}`;
+      if (href && chatIdPattern) {
+        const match = href.match(chatIdPattern);
+        if (match) {
+          chatId = `${platform}-chat-${match[match.length - 1]}`;
+        }
+      }
+
+      chats.push({
+        id: chatId,
+        title: this.truncate(title, maxTitleLength),
+        url: href
+      });
+    });
+
+    // If no sidebar chats found, fall back to the current conversation
+    if (chats.length === 0) {
+      const title = this.getCurrentChatTitle();
+      if (title) {
+        chats.push({
+          id: `${platform}-current-chat`,
+          title: this.truncate(title, maxTitleLength),
+          url: window.location.href
+        });
+        report.strategy = 'current';
+      }
+    }
+
+    report.kept = chats.length;
+    this.diagnostics.chats = report;
+    return chats;
+  }
+
+  /**
+   * @method getChatTitle
+   * @description Extracts the title of a sidebar chat item, trying each title selector in order.
+   * @param {Element} item - The chat item element.
+   * @returns {string} The chat title, or an empty string if none was found.
+   */
+  getChatTitle(item) {
+    const { chatTitleSelectors, chatTitleFallbackToItem } = this.config;
+
+    for (const selector of chatTitleSelectors) {
+      const titleElement = item.querySelector(selector);
+      if (titleElement && titleElement.textContent.trim()) {
+        return titleElement.textContent.trim();
+      }
+    }
+
+    return chatTitleFallbackToItem ? item.textContent.trim() : '';
+  }
+
+  /**
+   * @method getCurrentChatTitle
+   * @description Finds the title of the current conversation from the configured fallback selectors.
+   * @returns {string} The current conversation title, or an empty string if none was found.
+   */
+  getCurrentChatTitle() {
+    const { currentChatSelectors, currentChatExcludePattern } = this.config;
+
+    for (const selector of currentChatSelectors) {
+      const titleElement = document.querySelector(selector);
+      const title = titleElement ? titleElement.textContent.trim() : '';
+      if (title && !(currentChatExcludePattern && currentChatExcludePattern.test(title))) {
+        return title;
+      }
+    }
+
+    return '';
+  }
+
+  /**
+   * @method getComposer
+   * @description Finds the platform's message box.
+   * @returns {Element|null} The first visible, enabled match for the composer selectors, or null.
+   */
+  getComposer() {
+    for (const selector of this.config.composerSelectors) {
+      const composer = [...document.querySelectorAll(selector)]
+        .find(element => !element.disabled && element.getClientRects().length > 0);
+      if (composer) {
+        return composer;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @method insertText
+   * @description Inserts text at the caret in the message box, the way the platform's own editor
+   * would receive it, so the platform notices the change and enables its send button. Textareas
+   * are set through the native value setter so frameworks such as React see the new value; rich
+   * editors (ProseMirror, Quill, Lexical) are handed the text as a paste, and other
+   * contenteditable elements get it as typed input.
+   * @param {string} text - The text to insert.
+   * @returns {boolean} True if a message box was found.
+   */
+  insertText(text) {
+    const composer = this.getComposer();
+    if (!composer) return false;
+    composer.focus();
+
+    if (composer instanceof HTMLTextAreaElement || composer instanceof HTMLInputElement) {
+      const { selectionStart, selectionEnd, value } = composer;
+      const start = selectionStart ?? value.length;
+      const end = selectionEnd ?? value.length;
+      const { set } = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(composer), 'value');
+
+      set.call(composer, value.slice(0, start) + text + value.slice(end));
+      composer.setSelectionRange(start + text.length, start + text.length);
+      composer.dispatchEvent(new Event('input', { bubbles: true }));
+      return true;
+    }
+
+    // Put the caret at the end unless it is already in the editor
+    const selection = window.getSelection();
+    if (!selection.rangeCount || !composer.contains(selection.anchorNode)) {
+      const range = document.createRange();
+      range.selectNodeContents(composer);
+      range.collapse(false);
+      selection.removeAllRanges();
+      selection.addRange(range);
+    }
+
+    // Rich editors handle the paste themselves, turning lines into paragraphs
+    const clipboardData = new DataTransfer();
+    clipboardData.setData('text/plain', text);
+    const paste = new ClipboardEvent('paste', { clipboardData, bubbles: true, cancelable: true });
+    if (!composer.dispatchEvent(paste)) {
+      return true;
+    }
+
+    document.execCommand('insertText', false, text);
+    return true;
+  }
+
+  /**
+   * @method getRoots
+   * @description Finds the elements that hold the conversation and the chat list.
+   * @returns {{conversation: Element|null, sidebar: Element|null}} The first match for each root's selectors.
+   */
+  getRoots() {
+    const findFirst = selectors => {
+      for (const selector of selectors) {
+        const element = document.querySelector(selector);
+        if (element) return element;
+      }
+      return null;
+    };
+
+    return {
+      conversation: findFirst(this.config.conversationRootSelectors),
+      sidebar: findFirst(this.config.sidebarRootSelectors)
+    };
+  }
+
+  /**
+   * @method whenReady
+   * @description Applies the custom site defined for this page, if any, then waits until the page
+   * has rendered a user message, a chat link or the message box, so the navigator starts as soon
+   * as there is something to parse rather than after a fixed delay. Layout landmarks such as
+   * `main` don't count: single-page apps render them before any content. If the custom sites
+   * can't be read, the parser keeps its own selectors.
+   * @param {number} [timeout] - How long to wait before starting anyway, in ms.
+   * @returns {Promise<void>} Resolves once there is content or the timeout passes.
+   */
+  async whenReady(timeout = 10000) {
+    try {
+      const site = await new CustomSiteStore().findForUrl(window.location.href);
+      if (site) {
+        this.applyCustomSite(site);
+      }
+    } catch (error) {
+      console.error('Chat Navigator: failed to load custom sites', error);
+    }
+
+    const isReady = () => {
+      const { userMessageSelectors, fallbackUserMessageSelectors, chatSelectors } = this.config;
+      return [...userMessageSelectors, ...fallbackUserMessageSelectors, ...chatSelectors]
+        .some(selector => document.querySelector(selector)) || !!this.getComposer();
+    };
+
+    if (isReady()) {
+      return;
+    }
+
+    await new Promise(resolve => {
+      const done = () => {
+        observer.disconnect();
+        clearTimeout(timer);
+        resolve();
+      };
+      const observer = new MutationObserver(() => {
+        if (isReady()) {
+          done();
+        }
+      });
+      const timer = setTimeout(done, timeout);
+
+      observer.observe(document.documentElement, {
+        childList: true,
+        subtree: true
+      });
+    });
+  }
+
+  /**
+   * @method getDiagnostics
+   * @description Describes how the last extraction of each list went, for the diagnostics panel
+   * and bug reports.
+   * @returns {object} The platform, parser, page, roots, per-list reports and drift warnings.
+   */
+  getDiagnostics() {
+    const { conversation, sidebar } = this.getRoots();
+
+    return {
+      platform: this.config.platform,
+      parser: this.constructor.name,
+      url: window.location.origin + window.location.pathname,
+      roots: {
+        conversation: this.describeElement(conversation),
+        sidebar: this.describeElement(sidebar)
+      },
+      ...this.diagnostics,
+      warnings: this.detectDrift()
+    };
+  }
+
+  /**
+   * @method detectDrift
+   * @description Looks for signs that the platform's markup changed under the selectors: a
+   * conversation that clearly has turns, or a sidebar full of chat links, where extraction found none.
+   * @returns {Array<string>} Warnings, empty if extraction looks healthy.
+   */
+  detectDrift() {
+    const { questions, answers, chats } = this.diagnostics;
+    const { chatIdPattern } = this.config;
+    const { conversation, sidebar } = this.getRoots();
+    const questionCount = questions ? questions.kept : 0;
+    const answerCount = answers ? answers.kept : 0;
+    const warnings = [];
+
+    if (questionCount === 0 && answerCount > 0) {
+      warnings.push(`Found ${answerCount} answer${answerCount === 1 ? '' : 's'} but no questions. The question selectors may be out of date.`);
+    } else if (questionCount > 1 && answers && answerCount === 0 && this.config.assistantMessageSelectors.length) {
+      warnings.push(`Found ${questionCount} questions but no answers. The answer selectors may be out of date.`);
+    } else if (questionCount === 0 && conversation && conversation.textContent.trim().length > DRIFT_TEXT_THRESHOLD
+      && chatIdPattern && chatIdPattern.test(window.location.href)) {
+      warnings.push('This conversation has content, but no questions or answers were found. The message selectors may be out of date.');
+    }
+
+    if (chats && chats.strategy !== 'primary' && sidebar && chatIdPattern) {
+      const links = [...sidebar.querySelectorAll('a[href]')].filter(link => chatIdPattern.test(link.href));
+      if (links.length >= 3) {
+        warnings.push(`The sidebar links ${links.length} chats, but none were found. The chat selectors may be out of date.`);
+      }
+    }
+
+    return warnings;
+  }
+
+  /**
+   * @method describeElement
+   * @description Summarizes an element as a short CSS-like label, e.g. "main#content.flex".
+   * @param {Element|null} element - The element to describe.
+   * @returns {string|null} The label, or null if there is no element.
+   */
+  describeElement(element) {
+    if (!element) return null;
+
+    const id = element.id ? `#${element.id}` : '';
+    const classes = [...element.classList].slice(0, 2).map(name => `.${name}`).join('');
+    return `${element.tagName.toLowerCase()}${id}${classes}`;
+  }
+
+  /**
+   * @method queryAll
+   * @description Runs each selector against the document and concatenates the results.
+   * @param {Array<string>} selectors - The selectors to query.
+   * @param {Array<{selector: string, count: number}>} [counts] - Receives how many elements each selector matched.
+   * @returns {Array<Element>} The matched elements, in selector order.
+   */
+  queryAll(selectors, counts) {
+    let elements = [];
+    selectors.forEach(selector => {
+      const matches = document.querySelectorAll(selector);
+      if (counts) {
+        counts.push({ selector, count: matches.length });
+      }
+      elements = [...elements, ...matches];
+    });
+    return elements;
+  }
+
+  /**
+   * @method dedupeElements
+   * @description Removes duplicate and nested matches, keeping the outermost element of each turn
+   * in document order. An element that wraps more than one separate match is treated as a
+   * container rather than a turn, and is dropped in favour of the matches inside it.
+   * @param {Array<Element>} elements - The matched elements, possibly overlapping.
+   * @returns {Array<Element>} One element per turn, in document order.
+   */
+  dedupeElements(elements) {
+    const unique = [...new Set(elements)].sort((a, b) => {
+      return a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1;
+    });
+
+    const turns = unique.filter((element, index) => {
+      // Descendants directly follow their ancestor in document order
+      let topLevelDescendants = 0;
+      let lastTopLevel = null;
+      for (let i = index + 1; i < unique.length && element.contains(unique[i]); i++) {
+        if (!lastTopLevel || !lastTopLevel.contains(unique[i])) {
+          lastTopLevel = unique[i];
+          topLevelDescendants++;
+        }
+      }
+      return topLevelDescendants <= 1;
+    });
+
+    const result = [];
+    turns.forEach(element => {
+      const lastKept = result[result.length - 1];
+      if (!lastKept || !lastKept.contains(element)) {
+        result.push(element);
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * @method getFingerprint
+   * @description Fingerprints message text so a message can be found again after a reload,
+   * ignoring differences in whitespace and case.
+   * @param {string} text - The full message text.
+   * @returns {string} The fingerprint.
+   */
+  getFingerprint(text) {
+    return this.hashString(text.replace(/\s+/g, ' ').trim().toLowerCase());
+  }
+
+  /**
+   * @method hashString
+   * @description Hashes a string with 32-bit FNV-1a.
+   * @param {string} text - The string to hash.
+   * @returns {string} The hash in base 36.
+   */
+  hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(36);
+  }
+
+  /**
+   * @method truncate
+   * @description Truncates text to a maximum length, appending an ellipsis.
+   * @param {string} text - The text to truncate.
+   * @param {number} maxLength - The maximum length before truncation.
+   * @returns {string} The possibly truncated text.
+   */
+  truncate(text, maxLength) {
+    return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
+  }
+}
+
+// Export for use in platform-specific scripts
+window.BaseChatParser = BaseChatParser;
+window.NAV_ID_ATTRIBUTE = NAV_ID_ATTRIBUTE;
@@ -0,0 +1,169 @@
+/**
+ * @constant {RegExp} MATCH_PATTERN
+ * @description The shape of a Chrome match pattern: scheme, host (optionally with a leading
+ * wildcard) and path.
+ */
+const MATCH_PATTERN = /^(\*|https?):\/\/(\*|(?:\*\.)?[^/*]+)(\/.*)$/;
+
+/**
+ * @function matchesUrlPattern
+ * @description Tests a URL against a Chrome match pattern such as `https://*.example.com/*`.
+ * @param {string} pattern - The match pattern.
+ * @param {string} url - The URL to test.
+ * @returns {boolean} True if the pattern matches.
+ */
+function matchesUrlPattern(pattern, url) {
+  const match = MATCH_PATTERN.exec(pattern);
+  if (!match) return false;
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (e) {
+    return false;
+  }
+
+  const [, scheme, host, path] = match;
+  if (scheme === '*' ? !/^https?:$/.test(parsed.protocol) : parsed.protocol !== `${scheme}:`) {
+    return false;
+  }
+
+  if (host.startsWith('*.')) {
+    const domain = host.slice(2);
+    if (parsed.hostname !== domain && !parsed.hostname.endsWith(`.${domain}`)) return false;
+  } else if (host !== '*' && parsed.host !== host) {
+    return false;
+  }
+
+  const source = path.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${source}$`).test(parsed.pathname + parsed.search);
+}
+
+/**
+ * @class CustomSiteStore
+ * @description Reads and writes the chat sites users define on the options page, in
+ * `chrome.storage.sync`. A site is a match pattern plus the selectors the generic parser applies:
+ * `{id, name, matches, userMessageSelector, textSelector, chatSelector, chatIdPattern}`.
+ * A site whose pattern covers a built-in platform overrides that platform's selectors.
+ * @param {string} [storageKey] - The storage key holding the sites.
+ */
+class CustomSiteStore {
+  constructor(storageKey = 'chatNavigatorCustomSites') {
+    this.storageKey = storageKey;
+  }
+
+  /**
+   * @method getAll
+   * @description Loads every custom site.
+   * @returns {Promise<Array<object>>} The sites.
+   */
+  async getAll() {
+    const result = await chrome.storage.sync.get(this.storageKey);
+    return result[this.storageKey] || [];
+  }
+
+  /**
+   * @method save
+   * @description Adds a site, or replaces the site with the same ID.
+   * @param {object} site - The site to save.
+   * @returns {Promise<Array<object>>} The updated sites.
+   */
+  async save(site) {
+    const sites = await this.getAll();
+    const index = sites.findIndex(existing => existing.id === site.id);
+    if (index === -1) {
+      sites.push(site);
+    } else {
+      sites[index] = site;
+    }
+
+    await chrome.storage.sync.set({ [this.storageKey]: sites });
+    return sites;
+  }
+
+  /**
+   * @method remove
+   * @description Deletes a site.
+   * @param {string} id - The ID of the site to delete.
+   * @returns {Promise<Array<object>>} The updated sites.
+   */
+  async remove(id) {
+    const sites = (await this.getAll()).filter(site => site.id !== id);
+    await chrome.storage.sync.set({ [this.storageKey]: sites });
+    return sites;
+  }
+
+  /**
+   * @method findForUrl
+   * @description Finds the first custom site whose match pattern covers a URL.
+   * @param {string} url - The page URL.
+   * @returns {Promise<object|null>} The site, or null if none matches.
+   */
+  async findForUrl(url) {
+    const sites = await this.getAll();
+    return sites.find(site => matchesUrlPattern(site.matches, url)) || null;
+  }
+
+  /**
+   * @method validate
+   * @description Checks a site definition before it is saved.
+   * @param {object} site - The site to check.
+   * @returns {string|null} What is wrong with it, or null if it is valid.
+   */
+  validate(site) {
+    if (!site.name) {
+      return 'Give the site a name.';
+    }
+    if (!MATCH_PATTERN.test(site.matches)) {
+      return 'The match pattern should look like https://chat.example.com/*';
+    }
+    if (!site.userMessageSelector) {
+      return 'A user message selector is required.';
+    }
+
+    const fields = {
+      userMessageSelector: 'user message selector',
+      textSelector: 'text selector',
+      chatSelector: 'chat link selector'
+    };
+    for (const [field, label] of Object.entries(fields)) {
+      if (!site[field]) continue;
+      try {
+        document.createDocumentFragment().querySelector(site[field]);
+      } catch (e) {
+        return `The ${label} is not a valid CSS selector.`;
+      }
+    }
+
+    if (site.chatIdPattern) {
+      try {
+        new RegExp(site.chatIdPattern);
+      } catch (e) {
+        return 'The chat ID pattern is not a valid regular expression.';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @method onChange
+   * @description Calls back whenever the custom sites change.
+   * @param {function(Array<object>): void} callback - Receives the updated sites.
+   * @returns {function(): void} Stops listening.
+   */
+  onChange(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === 'sync' && changes[this.storageKey]) {
+        callback(changes[this.storageKey].newValue || []);
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
+
+// Export for use in the parsers, the background service worker and extension pages
+self.CustomSiteStore = CustomSiteStore;
+self.matchesUrlPattern = matchesUrlPattern;
+self.MATCH_PATTERN = MATCH_PATTERN;
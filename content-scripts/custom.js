@@ -0,0 +1,52 @@
+/**
+ * @class CustomSiteParser
+ * @extends BaseChatParser
+ * @description Generic parser for sites defined on the options page. It starts with no selectors;
+ * `whenReady()` applies the definition matching the page.
+ */
+class CustomSiteParser extends BaseChatParser {
+  constructor() {
+    super({
+      platform: 'custom',
+      minQuestionLength: 1,
+
+      // Arbitrary sites may have no main landmark, so fall back to watching the whole page
+      conversationRootSelectors: ['main', '[role="main"]', 'body']
+    });
+  }
+
+  /**
+   * @method applyCustomSite
+   * @description Applies the site's selectors and uses its ID as the platform name.
+   * @param {object} site - The site from the CustomSiteStore.
+   */
+  applyCustomSite(site) {
+    super.applyCustomSite(site);
+    this.config.platform = site.id;
+  }
+}
+
+/**
+ * @function initCustomNavigator
+ * @description Initializes the Chat Navigator on a site defined on the options page. The
+ * background service worker registers this script for every custom site the user has allowed.
+ */
+function initCustomNavigator() {
+  if (window.chatNavigatorInitialized) return;
+  window.chatNavigatorInitialized = true;
+
+  const parser = new CustomSiteParser();
+  parser.whenReady().then(() => {
+    // The site may have been deleted since the script was registered
+    if (!parser.customSite) return;
+
+    const ui = new ChatNavigatorUI(parser);
+    console.log(`${parser.customSite.name} Navigator initialized`);
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initCustomNavigator);
+} else {
+  initCustomNavigator();
+}
@@ -1,59 +1,26 @@
 /**
  * @class DeepSeekParser
+ * @extends BaseChatParser
  * @description Parser for DeepSeek to extract questions and chat history.
  */
-class DeepSeekParser {
-  /**
-   * @method getQuestions
-   * @description Extracts all user questions from the current DeepSeek conversation.
-   * @returns {Array<{id: string, text: string}>} An array of question objects, each with a unique ID and the question text.
-   */
-  getQuestions() {
-    const questions = [];
-    const userMessages = document.querySelectorAll('.user-message, [data-author="user"]');
-    
-    userMessages.forEach((message, index) => {
-      const textElement = message.querySelector('.content, .message-text');
-      if (textElement && textElement.textContent.trim()) {
-        const text = textElement.textContent.trim();
-        const messageId = `deepseek-user-${index}`;
-        message.id = messageId;
-        
-        questions.push({
-          id: messageId,
-          text: text.length > 100 ? text.substring(0, 100) + '...' : text
-        });
-      }
-    });
+class DeepSeekParser extends BaseChatParser {
+  constructor() {
+    super({
+      platform: 'deepseek',
 
-    return questions;
-  }
+      // Every turn is a `.ds-message`; only answers render markdown
+      userMessageSelectors: ['.ds-message:not(:has(.ds-markdown))', '.user-message, [data-author="user"]'],
+      textSelector: '.content, .message-text',
+      minQuestionLength: 1,
 
-  /**
-   * @method getChats
-   * @description Extracts the list of previous chats from the DeepSeek sidebar.
-   * @returns {Array<{id: string, title: string, url: string}>} An array of chat objects, each with a unique ID, title, and URL.
-   */
-  getChats() {
-    const chats = [];
-    const chatItems = document.querySelectorAll('.chat-history-item a, [data-testid="chat-history"] a');
-    
-    chatItems.forEach((item, index) => {
-      const titleElement = item.querySelector('.title, .chat-title');
-      if (titleElement && titleElement.textContent.trim()) {
-        const title = titleElement.textContent.trim();
-        const href = item.href;
-        const chatId = `deepseek-chat-${index}`;
-        
-        chats.push({
-          id: chatId,
-          title: title,
-          url: href
-        });
-      }
-    });
+      assistantMessageSelectors: ['.ds-message:has(.ds-markdown)', '.assistant-message, [data-author="assistant"]'],
 
-    return chats;
+      chatSelectors: ['a[href*="/chat/s/"]', '.chat-history-item a, [data-testid="chat-history"] a'],
+      chatTitleSelectors: ['.title, .chat-title'],
+      chatIdPattern: /\/chat\/s\/([^\/\?]+)/,
+
+      composerSelectors: ['textarea#chat-input', 'textarea']
+    });
   }
 }
 
@@ -63,18 +30,18 @@ class DeepSeekParser {
  */
 function initDeepSeekNavigator() {
   if (window.chatNavigatorInitialized) return;
-  
-  const parser = new DeepSeekParser();
-  const ui = new ChatNavigatorUI(parser);
-  
   window.chatNavigatorInitialized = true;
-  console.log('DeepSeek Navigator initialized');
+
+  // Start once the page has rendered a message, a chat link or the message box
+  const parser = new DeepSeekParser();
+  parser.whenReady().then(() => {
+    const ui = new ChatNavigatorUI(parser);
+    console.log('DeepSeek Navigator initialized');
+  });
 }
 
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(initDeepSeekNavigator, 2000);
-  });
+  document.addEventListener('DOMContentLoaded', initDeepSeekNavigator);
 } else {
-  setTimeout(initDeepSeekNavigator, 2000);
+  initDeepSeekNavigator();
 }
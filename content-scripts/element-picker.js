@@ -0,0 +1,206 @@
+/**
+ * @description Element picker for defining custom sites. The options page injects this into a tab
+ * of the site and calls `chatNavigatorPicker.start(field)`; the user clicks a message or chat link
+ * and the picker builds a selector matching every element like it, then reports it back with a
+ * `chatNavigatorPicked` message. It is injected on demand, possibly more than once, so it only
+ * defines itself the first time.
+ */
+(() => {
+  if (window.chatNavigatorPicker) return;
+
+  /**
+   * @class ElementPicker
+   * @description Highlights the element under the pointer and turns a click into a selector.
+   */
+  class ElementPicker {
+    constructor() {
+      this.field = null;
+      this.highlight = null;
+      this.banner = null;
+      this.onMove = (e) => this.handleMove(e);
+      this.onClick = (e) => this.handleClick(e);
+      this.onKeydown = (e) => this.handleKeydown(e);
+    }
+
+    /**
+     * @method start
+     * @description Starts picking an element for a custom site field.
+     * @param {string} field - 'userMessageSelector', 'textSelector' or 'chatSelector'.
+     */
+    start(field) {
+      this.stop();
+      this.field = field;
+
+      const prompts = {
+        userMessageSelector: 'Click one of your messages',
+        textSelector: 'Click the text inside one of your messages',
+        chatSelector: 'Click a chat in the sidebar'
+      };
+
+      this.highlight = document.createElement('div');
+      this.highlight.style.cssText = 'position:fixed;z-index:2147483647;pointer-events:none;' +
+        'border:2px solid rgb(59,130,246);background:rgba(59,130,246,0.15);border-radius:4px;display:none;';
+
+      this.banner = document.createElement('div');
+      this.banner.style.cssText = 'position:fixed;z-index:2147483647;top:12px;left:50%;transform:translateX(-50%);' +
+        'padding:8px 14px;border-radius:8px;background:rgb(30,30,30);color:white;pointer-events:none;' +
+        'font:14px -apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;box-shadow:0 4px 20px rgba(0,0,0,0.3);';
+      this.banner.textContent = `${prompts[field]} · Esc to cancel`;
+
+      document.body.append(this.highlight, this.banner);
+      // Capture first so the page doesn't react to the picking click
+      document.addEventListener('mousemove', this.onMove, true);
+      document.addEventListener('click', this.onClick, true);
+      document.addEventListener('keydown', this.onKeydown, true);
+    }
+
+    /**
+     * @method stop
+     * @description Removes the highlight and stops listening.
+     */
+    stop() {
+      document.removeEventListener('mousemove', this.onMove, true);
+      document.removeEventListener('click', this.onClick, true);
+      document.removeEventListener('keydown', this.onKeydown, true);
+      [this.highlight, this.banner].forEach(element => element && element.remove());
+      this.highlight = null;
+      this.banner = null;
+    }
+
+    /**
+     * @method handleMove
+     * @description Outlines the element under the pointer.
+     * @param {MouseEvent} e - The mousemove event.
+     */
+    handleMove(e) {
+      const rect = e.target.getBoundingClientRect();
+      Object.assign(this.highlight.style, {
+        display: 'block',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+    }
+
+    /**
+     * @method handleClick
+     * @description Builds a selector from the clicked element and reports it.
+     * @param {MouseEvent} e - The click event.
+     */
+    handleClick(e) {
+      e.preventDefault();
+      e.stopImmediatePropagation();
+
+      const result = this.field === 'chatSelector'
+        ? this.buildChatSelector(e.target)
+        : this.generalize(e.target);
+
+      this.report(result);
+    }
+
+    /**
+     * @method handleKeydown
+     * @description Cancels picking on Escape.
+     * @param {KeyboardEvent} e - The keydown event.
+     */
+    handleKeydown(e) {
+      if (e.key !== 'Escape') return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      this.report({ selector: null, count: 0 });
+    }
+
+    /**
+     * @method report
+     * @description Sends the picked selector to the options page and stops picking.
+     * @param {{selector: string|null, count: number, chatIdPattern?: string}} result - The selector, or null if cancelled.
+     */
+    report(result) {
+      const field = this.field;
+      this.stop();
+      chrome.runtime.sendMessage({ type: 'chatNavigatorPicked', field, ...result });
+    }
+
+    /**
+     * @method generalize
+     * @description Walks up from the clicked element to the first selector that matches more than
+     * one element, none nested in another, so it picks out every message like the clicked one.
+     * @param {Element} element - The clicked element.
+     * @returns {{selector: string, count: number}} The selector and how many elements it matches.
+     */
+    generalize(element) {
+      for (let node = element; node && node !== document.body; node = node.parentElement) {
+        for (const selector of this.describe(node)) {
+          const matches = [...document.querySelectorAll(selector)];
+          const nested = matches.some(match => matches.some(other => other !== match && match.contains(other)));
+          if (matches.length > 1 && !nested) {
+            return { selector, count: matches.length };
+          }
+        }
+      }
+
+      const [selector = element.tagName.toLowerCase()] = this.describe(element);
+      return { selector, count: document.querySelectorAll(selector).length };
+    }
+
+    /**
+     * @method describe
+     * @description Lists candidate selectors for an element, most specific to the platform first:
+     * data and role attributes with their values, then classes.
+     * @param {Element} element - The element to describe.
+     * @returns {Array<string>} The candidate selectors.
+     */
+    describe(element) {
+      const tag = element.tagName.toLowerCase();
+      const candidates = [];
+
+      [...element.attributes].forEach(({ name, value }) => {
+        // Values that look like IDs differ between messages
+        if ((name.startsWith('data-') || name === 'role') && value && value.length < 40 && !/\d{3,}|[0-9a-f]{8}-/i.test(value)) {
+          candidates.push(`${tag}[${name}="${CSS.escape(value)}"]`);
+        }
+      });
+
+      // Skip state and utility variants such as `hover:bg-gray-100`, which vary with interaction
+      const classes = [...element.classList].filter(name => !/[:[\]/]|^(active|selected|hover|focus)/.test(name));
+      if (classes.length) {
+        candidates.push(`${tag}${classes.map(name => `.${CSS.escape(name)}`).join('')}`);
+        classes.forEach(name => candidates.push(`${tag}.${CSS.escape(name)}`));
+      }
+
+      return candidates;
+    }
+
+    /**
+     * @method buildChatSelector
+     * @description Builds a selector for sidebar chat links from the clicked link's path, e.g.
+     * `nav a[href*="/c/"]`, and a pattern that extracts the chat ID from it.
+     * @param {Element} element - The clicked element.
+     * @returns {{selector: string, count: number, chatIdPattern?: string}} The selector, its match count and the ID pattern.
+     */
+    buildChatSelector(element) {
+      const link = element.closest('a[href]');
+      if (!link) {
+        return this.generalize(element);
+      }
+
+      const segments = new URL(link.href).pathname.split('/').filter(Boolean);
+      if (segments.length < 2) {
+        return this.generalize(link);
+      }
+
+      const scope = link.closest('nav') ? 'nav ' : link.closest('aside') ? 'aside ' : '';
+      const selector = `${scope}a[href*="/${CSS.escape(segments[0])}/"]`;
+      const prefix = segments[0].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+      return {
+        selector,
+        count: document.querySelectorAll(selector).length,
+        chatIdPattern: `\\/${prefix}\\/([^\\/?]+)`
+      };
+    }
+  }
+
+  window.chatNavigatorPicker = new ElementPicker();
+})();
@@ -0,0 +1,508 @@
+/**
+ * @constant {string} EXPORT_SKIP_SELECTOR
+ * @description Elements left out of exports: scripts, controls and decorative markup.
+ */
+const EXPORT_SKIP_SELECTOR = 'script, style, noscript, template, iframe, button, svg, form, input, textarea, select, [aria-hidden="true"]';
+
+/**
+ * @constant {Array<string>} EXPORT_ALLOWED_ATTRIBUTES
+ * @description Attributes kept on elements in HTML exports. Everything else is stripped.
+ */
+const EXPORT_ALLOWED_ATTRIBUTES = ['href', 'src', 'alt', 'title', 'colspan', 'rowspan', 'start'];
+
+/**
+ * @constant {string} CODE_BLOCK_MARKER
+ * @description Private-use character that brackets a code block's index while the rest of a turn is
+ * converted, so whitespace clean-up never reaches the code.
+ */
+const CODE_BLOCK_MARKER = '\uE000';
+
+/**
+ * @class ConversationExporter
+ * @description Exports the current conversation as Markdown, JSON or self-contained HTML.
+ * @param {object} parser - An instance of a platform-specific parser.
+ */
+class ConversationExporter {
+  constructor(parser) {
+    this.parser = parser;
+  }
+
+  /**
+   * @method collect
+   * @description Walks the conversation and builds the export data.
+   * @returns {{platform: string, url: string, title: string, timestamp: string, turns: Array<{index: number, role: string, content: string, html: string}>}} The conversation.
+   */
+  collect() {
+    const turns = this.parser.getTurns()
+      .filter(turn => turn.element)
+      .map((turn, index) => ({
+        index: index + 1,
+        role: turn.role,
+        content: this.toMarkdownText(turn.element),
+        html: this.cleanHtml(turn.element)
+      }))
+      .filter(turn => turn.content);
+
+    return {
+      platform: this.parser.config.platform,
+      url: window.location.href,
+      title: this.parser.getCurrentChatTitle() || document.title || 'Conversation',
+      timestamp: new Date().toISOString(),
+      turns
+    };
+  }
+
+  /**
+   * @method export
+   * @description Exports the conversation and downloads it as a file.
+   * @param {string} format - The export format ('markdown', 'json' or 'html').
+   */
+  export(format) {
+    const data = this.collect();
+    const formats = {
+      markdown: { extension: 'md', type: 'text/markdown', build: () => this.toMarkdown(data) },
+      json: { extension: 'json', type: 'application/json', build: () => this.toJSON(data) },
+      html: { extension: 'html', type: 'text/html', build: () => this.toHTML(data) }
+    };
+
+    const { extension, type, build } = formats[format];
+    this.download(build(), `${this.getFileName(data)}.${extension}`, type);
+  }
+
+  /**
+   * @method toMarkdown
+   * @description Formats the conversation as Markdown.
+   * @param {object} data - The conversation from `collect()`.
+   * @returns {string} The Markdown document.
+   */
+  toMarkdown(data) {
+    const header = [
+      `# ${data.title}`,
+      '',
+      `- Platform: ${data.platform}`,
+      `- URL: ${data.url}`,
+      `- Exported: ${data.timestamp}`
+    ].join('\n');
+
+    const turns = data.turns.map(turn => {
+      return `## ${turn.role === 'user' ? 'User' : 'Assistant'}\n\n${turn.content}`;
+    });
+
+    return [header, ...turns].join('\n\n---\n\n') + '\n';
+  }
+
+  /**
+   * @method toJSON
+   * @description Formats the conversation as JSON. Turn content is Markdown.
+   * @param {object} data - The conversation from `collect()`.
+   * @returns {string} The JSON document.
+   */
+  toJSON(data) {
+    return JSON.stringify({
+      platform: data.platform,
+      url: data.url,
+      title: data.title,
+      timestamp: data.timestamp,
+      turns: data.turns.map(({ index, role, content }) => ({ index, role, content }))
+    }, null, 2);
+  }
+
+  /**
+   * @method toHTML
+   * @description Formats the conversation as a standalone HTML page with inline styles.
+   * @param {object} data - The conversation from `collect()`.
+   * @returns {string} The HTML document.
+   */
+  toHTML(data) {
+    const escape = text => this.escapeHtml(text);
+    const turns = data.turns.map(turn => `
+    <article class="turn ${turn.role}">
+      <div class="role">${turn.role === 'user' ? 'User' : 'Assistant'}</div>
+      <div class="content">${turn.html}</div>
+    </article>`).join('\n');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escape(data.title)}</title>
+  <style>
+    body { max-width: 860px; margin: 40px auto; padding: 0 20px; font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; line-height: 1.6; color: #1f2328; }
+    header { border-bottom: 1px solid #d0d7de; margin-bottom: 24px; }
+    header p { color: #59636e; font-size: 14px; }
+    .turn { margin: 0 0 24px; padding: 16px 20px; border: 1px solid #d0d7de; border-radius: 12px; }
+    .turn.user { background: #f6f8fa; }
+    .role { font-size: 12px; font-weight: 600; text-transform: uppercase; letter-spacing: 0.04em; color: #59636e; margin-bottom: 8px; }
+    .content { white-space: normal; overflow-wrap: anywhere; }
+    .turn.user .content { white-space: pre-wrap; }
+    pre { background: #f6f8fa; border: 1px solid #d0d7de; border-radius: 8px; padding: 12px; overflow-x: auto; white-space: pre; }
+    code { font-family: ui-monospace, SFMono-Regular, Menlo, Consolas, monospace; font-size: 0.9em; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #d0d7de; padding: 6px 12px; }
+    blockquote { margin-left: 0; padding-left: 16px; border-left: 4px solid #d0d7de; color: #59636e; }
+    img { max-width: 100%; }
+  </style>
+</head>
+<body>
+  <header>
+    <h1>${escape(data.title)}</h1>
+    <p>${escape(data.platform)} &middot; <a href="${escape(data.url)}">${escape(data.url)}</a> &middot; ${escape(data.timestamp)}</p>
+  </header>
+  <main>${turns}
+  </main>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * @method cleanHtml
+   * @description Copies a turn's markup without scripts, controls, classes or event handlers.
+   * Only code-block language classes are kept.
+   * @param {Element} element - The turn's content element.
+   * @returns {string} The cleaned HTML.
+   */
+  cleanHtml(element) {
+    const clone = element.cloneNode(true);
+    clone.querySelectorAll(EXPORT_SKIP_SELECTOR).forEach(node => node.remove());
+
+    [clone, ...clone.querySelectorAll('*')].forEach(node => {
+      const language = [...node.classList].find(name => name.startsWith('language-'));
+
+      [...node.attributes].forEach(attribute => {
+        if (!EXPORT_ALLOWED_ATTRIBUTES.includes(attribute.name)) {
+          node.removeAttribute(attribute.name);
+        }
+      });
+
+      // Resolve relative links and drop script URLs
+      ['href', 'src'].forEach(name => {
+        if (node.hasAttribute(name)) {
+          const url = this.resolveUrl(node.getAttribute(name));
+          if (url) {
+            node.setAttribute(name, url);
+          } else {
+            node.removeAttribute(name);
+          }
+        }
+      });
+
+      if (language) {
+        node.className = language;
+      }
+    });
+
+    return clone.innerHTML.trim();
+  }
+
+  /**
+   * @method toMarkdownText
+   * @description Converts a turn's markup to Markdown, keeping code fences, lists, tables and links.
+   * Code blocks stand in as markers while the rest is tidied up, then go back in verbatim, indented
+   * like the line their marker ended up on.
+   * @param {Element} element - The turn's content element.
+   * @returns {string} The Markdown.
+   */
+  toMarkdownText(element) {
+    const codeBlocks = [];
+    const markdown = this.convertChildren(element, { listDepth: 0, preserveWhitespace: this.preservesWhitespace(element), codeBlocks })
+      .replace(/[ \t]+\n/g, match => (match.endsWith('  \n') ? '  \n' : '\n'))
+      .replace(/\n{3,}/g, '\n\n')
+      .trim();
+
+    // A block inside a table cell has been joined onto its row, so it goes back as inline code
+    const blockLine = new RegExp(`^([ \\t>]*)${CODE_BLOCK_MARKER}(\\d+)${CODE_BLOCK_MARKER}$`, 'gm');
+    const inlineBlock = new RegExp(`${CODE_BLOCK_MARKER}(\\d+)${CODE_BLOCK_MARKER}`, 'g');
+    return markdown
+      .replace(blockLine, (match, prefix, index) => {
+        return codeBlocks[index].fenced.split('\n').map(line => (line ? prefix + line : prefix.trimEnd())).join('\n');
+      })
+      .replace(inlineBlock, (match, index) => this.toInlineCode(codeBlocks[index].text.replace(/\s*\n\s*/g, ' ')).replace(/\|/g, '\\|'));
+  }
+
+  /**
+   * @method convertChildren
+   * @description Converts the child nodes of an element to Markdown.
+   * @param {Node} node - The parent node.
+   * @param {object} context - The conversion context (list depth, whitespace handling).
+   * @returns {string} The Markdown.
+   */
+  convertChildren(node, context) {
+    return [...node.childNodes].map(child => this.convertNode(child, context)).join('');
+  }
+
+  /**
+   * @method convertNode
+   * @description Converts a single node to Markdown.
+   * @param {Node} node - The node to convert.
+   * @param {object} context - The conversion context (list depth, whitespace handling).
+   * @returns {string} The Markdown.
+   */
+  convertNode(node, context) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return this.escapeMarkdown(context.preserveWhitespace ? node.textContent : node.textContent.replace(/\s+/g, ' '));
+    }
+
+    if (node.nodeType !== Node.ELEMENT_NODE || node.matches(EXPORT_SKIP_SELECTOR)) {
+      return '';
+    }
+
+    const tag = node.tagName.toLowerCase();
+    const inner = () => this.convertChildren(node, context);
+
+    switch (tag) {
+      case 'h1':
+      case 'h2':
+      case 'h3':
+      case 'h4':
+      case 'h5':
+      case 'h6':
+        return `\n\n${'#'.repeat(Number(tag.charAt(1)))} ${inner().trim()}\n\n`;
+      case 'p':
+        return `\n\n${inner().trim()}\n\n`;
+      case 'br':
+        return '  \n';
+      case 'hr':
+        return '\n\n---\n\n';
+      case 'strong':
+      case 'b':
+        return this.wrapInline(inner(), '**');
+      case 'em':
+      case 'i':
+        return this.wrapInline(inner(), '*');
+      case 'del':
+      case 's':
+        return this.wrapInline(inner(), '~~');
+      case 'code':
+        return this.toInlineCode(node.textContent);
+      case 'pre':
+        return this.toCodeFence(node, context);
+      case 'a': {
+        const text = inner().trim();
+        const href = this.resolveUrl(node.getAttribute('href'));
+        return href && text ? `[${text}](${href})` : text;
+      }
+      case 'img': {
+        const src = this.resolveUrl(node.getAttribute('src'));
+        return src ? `![${node.getAttribute('alt') || ''}](${src})` : '';
+      }
+      case 'ul':
+      case 'ol':
+        return this.toList(node, context);
+      case 'blockquote': {
+        const quoted = this.convertChildren(node, context).replace(/\n{3,}/g, '\n\n').trim();
+        return `\n\n${quoted.split('\n').map(line => `> ${line}`.trimEnd()).join('\n')}\n\n`;
+      }
+      case 'table':
+        return this.toTable(node, context);
+      case 'div':
+      case 'section':
+      case 'article':
+      case 'header':
+      case 'footer':
+      case 'figure':
+        return `\n${this.convertChildren(node, { ...context, preserveWhitespace: this.preservesWhitespace(node) })}\n`;
+      default:
+        return inner();
+    }
+  }
+
+  /**
+   * @method toCodeFence
+   * @description Converts a `pre` block to a fenced code block, keeping its language. The block is
+   * kept aside in the context and a marker on a line of its own takes its place.
+   * @param {Element} pre - The `pre` element.
+   * @param {object} context - The conversion context.
+   * @returns {string} The marker standing in for the fenced code block.
+   */
+  toCodeFence(pre, context) {
+    const code = pre.querySelector('code') || pre;
+    const languageClass = [...code.classList].find(name => name.startsWith('language-'));
+    const language = languageClass ? languageClass.replace('language-', '') : '';
+    const text = code.textContent.replace(/\n$/, '');
+
+    // Use a fence longer than any backtick run inside the code
+    const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+    const fence = '`'.repeat(longestRun + 1);
+
+    context.codeBlocks.push({ text, fenced: `${fence}${language}\n${text}\n${fence}` });
+    return `\n\n${CODE_BLOCK_MARKER}${context.codeBlocks.length - 1}${CODE_BLOCK_MARKER}\n\n`;
+  }
+
+  /**
+   * @method toList
+   * @description Converts a `ul` or `ol` to a Markdown list. An item's further lines, such as
+   * nested lists, paragraphs and code blocks, are indented by the width of its marker so they stay
+   * inside the item.
+   * @param {Element} list - The list element.
+   * @param {object} context - The conversion context.
+   * @returns {string} The Markdown list.
+   */
+  toList(list, context) {
+    const ordered = list.tagName === 'OL';
+    const start = Number(list.getAttribute('start')) || 1;
+
+    const items = [...list.children].filter(child => child.tagName === 'LI').map((item, index) => {
+      const marker = ordered ? `${start + index}.` : '-';
+      const indent = ' '.repeat(marker.length + 1);
+      const content = this.convertChildren(item, { ...context, listDepth: context.listDepth + 1 })
+        .replace(/\n{3,}/g, '\n\n')
+        .trim()
+        .split('\n')
+        .map((line, lineIndex) => (lineIndex && line ? indent + line : line))
+        .join('\n');
+      return `${marker} ${content}`;
+    });
+
+    return context.listDepth > 0 ? `\n${items.join('\n')}\n` : `\n\n${items.join('\n')}\n\n`;
+  }
+
+  /**
+   * @method toTable
+   * @description Converts a table to a GitHub-flavored Markdown table. The first row is the header.
+   * @param {Element} table - The table element.
+   * @param {object} context - The conversion context.
+   * @returns {string} The Markdown table.
+   */
+  toTable(table, context) {
+    const rows = [...table.querySelectorAll('tr')].map(row => {
+      return [...row.children].map(cell => {
+        return this.convertChildren(cell, context).replace(/\s+/g, ' ').trim().replace(/\|/g, '\\|');
+      });
+    });
+
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const columns = Math.max(...rows.map(row => row.length));
+    const formatRow = row => `| ${Array.from({ length: columns }, (_, i) => row[i] || '').join(' | ')} |`;
+    const separator = `| ${Array(columns).fill('---').join(' | ')} |`;
+
+    return `\n\n${[formatRow(rows[0]), separator, ...rows.slice(1).map(formatRow)].join('\n')}\n\n`;
+  }
+
+  /**
+   * @method wrapInline
+   * @description Wraps inline text in Markdown markers, keeping surrounding spaces outside them.
+   * @param {string} text - The inline text.
+   * @param {string} marker - The marker, e.g. '**'.
+   * @returns {string} The wrapped text.
+   */
+  wrapInline(text, marker) {
+    const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+    return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : text;
+  }
+
+  /**
+   * @method escapeMarkdown
+   * @description Escapes the characters in page text that Markdown would read as formatting:
+   * emphasis, code spans, links and a heading `#` at the start of a line.
+   * @param {string} text - The text outside code.
+   * @returns {string} The escaped text.
+   */
+  escapeMarkdown(text) {
+    return text
+      .replace(/[\\`*_[\]]/g, '\\$&')
+      .replace(/(^|\n)([ \t]*)#/g, '$1$2\\#');
+  }
+
+  /**
+   * @method toInlineCode
+   * @description Wraps text in an inline code span, using enough backticks to contain any inside it.
+   * @param {string} text - The code text.
+   * @returns {string} The inline code span.
+   */
+  toInlineCode(text) {
+    const longestRun = Math.max(0, ...(text.match(/`+/g) || []).map(run => run.length));
+    const ticks = '`'.repeat(longestRun + 1);
+    const padding = longestRun > 0 ? ' ' : '';
+    return `${ticks}${padding}${text}${padding}${ticks}`;
+  }
+
+  /**
+   * @method preservesWhitespace
+   * @description Checks whether an element renders its whitespace as-is, as user messages usually do.
+   * @param {Element} element - The element to check.
+   * @returns {boolean} True if line breaks in its text are significant.
+   */
+  preservesWhitespace(element) {
+    return window.getComputedStyle(element).whiteSpace.startsWith('pre');
+  }
+
+  /**
+   * @method resolveUrl
+   * @description Resolves a link against the page URL, rejecting anything but http(s), mailto and data images.
+   * @param {string|null} url - The URL to resolve.
+   * @returns {string} The absolute URL, or an empty string if it is missing or unsafe.
+   */
+  resolveUrl(url) {
+    if (!url) {
+      return '';
+    }
+
+    try {
+      const resolved = new URL(url, window.location.href);
+      if (['http:', 'https:', 'mailto:'].includes(resolved.protocol) || /^data:image\//.test(url)) {
+        return resolved.href;
+      }
+    } catch (e) {
+      // Fall through for malformed URLs
+    }
+
+    return '';
+  }
+
+  /**
+   * @method getFileName
+   * @description Builds a file name from the platform, chat title and date.
+   * @param {object} data - The conversation from `collect()`.
+   * @returns {string} The file name without extension.
+   */
+  getFileName(data) {
+    const slug = data.title
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '')
+      .substring(0, 60) || 'conversation';
+
+    return `${data.platform}-${slug}-${data.timestamp.substring(0, 10)}`;
+  }
+
+  /**
+   * @method download
+   * @description Saves text to a file through a temporary object URL.
+   * @param {string} content - The file content.
+   * @param {string} fileName - The file name.
+   * @param {string} type - The MIME type.
+   */
+  download(content, fileName, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: `${type};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * @method escapeHtml
+   * @description Escapes HTML special characters, including quotes, for use in text and attributes.
+   * @param {string} text - The string to escape.
+   * @returns {string} The escaped string.
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+}
+
+// Export for use in the UI handler
+window.ConversationExporter = ConversationExporter;
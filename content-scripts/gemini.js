@@ -1,128 +1,51 @@
 /**
  * @class GeminiParser
+ * @extends BaseChatParser
  * @description Parser for Google Gemini to extract questions and chat history.
  */
-class GeminiParser {
-  /**
-   * @method getQuestions
-   * @description Extracts all user questions from the current Gemini conversation.
-   * @returns {Array<{id: string, text: string}>} An array of question objects, each with a unique ID and the question text.
-   */
-  getQuestions() {
-    const questions = [];
-    
-    // Gemini user messages
-    const userSelectors = [
-      '[data-test-id="user-message"]',
-      '.user-message',
-      '[class*="user"]',
-      '[data-role="user"]',
-      '.human-message',
-      '.prompt-input'
-    ];
-    
-    let userMessages = [];
-    userSelectors.forEach(selector => {
-      userMessages = [...userMessages, ...document.querySelectorAll(selector)];
-    });
-    
-    // Also look in conversation containers
-    const conversationMessages = document.querySelectorAll('.conversation [class*="message"], [class*="chat"] [class*="message"], .response-container [class*="user"]');
-    conversationMessages.forEach(msg => {
-      if (msg.textContent && 
-          !msg.querySelector('[class*="model"]') && 
-          !msg.querySelector('[class*="assistant"]') &&
-          !msg.textContent.includes('Gemini:') &&
-          !msg.textContent.includes('Bard:')) {
-        userMessages.push(msg);
-      }
-    });
-    
-    userMessages.forEach((message, index) => {
-      let textElement = message.querySelector('.markdown, .prose, .message-content, .text-content') || message;
-      
-      if (textElement && textElement.textContent.trim()) {
-        const text = textElement.textContent.trim();
-        
-        if (text.length < 10 || text.match(/^(Gemini|Bard|AI):/i)) {
-          return;
-        }
-        
-        const messageId = message.id || `gemini-user-${index}`;
-        if (!message.id) {
-          message.id = messageId;
-        }
-        
-        questions.push({
-          id: messageId,
-          text: text.length > 100 ? text.substring(0, 100) + '...' : text
-        });
-      }
-    });
+class GeminiParser extends BaseChatParser {
+  constructor() {
+    super({
+      platform: 'gemini',
 
-    return questions;
-  }
+      userMessageSelectors: [
+        '[data-test-id="user-message"]',
+        '.user-message',
+        '[class*="user"]',
+        '[data-role="user"]',
+        '.human-message',
+        '.prompt-input'
+      ],
+      conversationMessageSelectors: ['.conversation [class*="message"], [class*="chat"] [class*="message"], .response-container [class*="user"]'],
+      conversationExclusions: {
+        containsSelector: '[class*="model"], [class*="assistant"]',
+        textIncludes: ['Gemini:', 'Bard:']
+      },
+      textSelector: '.markdown, .prose, .message-content, .text-content',
+      questionSkipPattern: /^(Gemini|Bard|AI):/i,
 
-  /**
-   * @method getChats
-   * @description Extracts the list of previous chats from the Gemini sidebar.
-   * @returns {Array<{id: string, title: string, url: string}>} An array of chat objects, each with a unique ID, title, and URL.
-   */
-  getChats() {
-    const chats = [];
-    
-    // Look for chat history in Gemini
-    const chatSelectors = [
-      'a[href*="/chat/"]',
-      'a[href*="/app/"]',
-      '.chat-item',
-      '.conversation-item',
-      '[class*="history"] a',
-      '[class*="recent"] a',
-      '.thread-item'
-    ];
-    
-    let chatItems = [];
-    chatSelectors.forEach(selector => {
-      chatItems = [...chatItems, ...document.querySelectorAll(selector)];
-    });
-    
-    chatItems.forEach((item, index) => {
-      let titleElement = item.querySelector('.title, .chat-title, [class*="title"], .conversation-name') || item;
-      
-      if (titleElement && titleElement.textContent.trim()) {
-        const title = titleElement.textContent.trim();
-        const href = item.href;
-        
-        let chatId = 'gemini-chat-' + index;
-        if (href) {
-          const match = href.match(/\/(chat|app)\/([^\/\?]+)/);
-          if (match) {
-            chatId = 'gemini-chat-' + match[2];
-          }
-        }
-        
-        chats.push({
-          id: chatId,
-          title: title.length > 50 ? title.substring(0, 50) + '...' : title,
-          url: href
-        });
-      }
-    });
+      assistantMessageSelectors: ['model-response', '.model-response-text', '[data-role="model"]'],
+
+      chatSelectors: [
+        'a[href*="/chat/"]',
+        'a[href*="/app/"]',
+        '.chat-item',
+        '.conversation-item',
+        '[class*="history"] a',
+        '[class*="recent"] a',
+        '.thread-item'
+      ],
+      chatTitleSelectors: ['.title, .chat-title, [class*="title"], .conversation-name'],
+      chatIdPattern: /\/(chat|app)\/([^\/\?]+)/,
+      currentChatSelectors: ['h1, .conversation-title, .chat-title, [class*="title"]'],
+      currentChatExcludePattern: /Gemini/,
 
-    // Check for current conversation title
-    if (chats.length === 0) {
-      const titleElement = document.querySelector('h1, .conversation-title, .chat-title, [class*="title"]');
-      if (titleElement && titleElement.textContent.trim() && !titleElement.textContent.includes('Gemini')) {
-        chats.push({
-          id: 'gemini-current-chat',
-          title: titleElement.textContent.trim(),
-          url: window.location.href
-        });
-      }
-    }
+      conversationRootSelectors: ['chat-window', 'main'],
+      sidebarRootSelectors: ['bard-sidenav', 'side-navigation', 'nav'],
 
-    return chats;
+      // A Quill editor inside the rich-textarea element
+      composerSelectors: ['rich-textarea .ql-editor', '.ql-editor[contenteditable="true"]']
+    });
   }
 }
 
@@ -132,18 +55,18 @@ class GeminiParser {
  */
 function initGeminiNavigator() {
   if (window.chatNavigatorInitialized) return;
-  
-  const parser = new GeminiParser();
-  const ui = new ChatNavigatorUI(parser);
-  
   window.chatNavigatorInitialized = true;
-  console.log('Gemini Navigator initialized');
+
+  // Start once the page has rendered a message, a chat link or the message box
+  const parser = new GeminiParser();
+  parser.whenReady().then(() => {
+    const ui = new ChatNavigatorUI(parser);
+    console.log('Gemini Navigator initialized');
+  });
 }
 
 if (document.readyState === 'loading') {
-  document.addEventListener('DOMContentLoaded', () => {
-    setTimeout(initGeminiNavigator, 2000);
-  });
+  document.addEventListener('DOMContentLoaded', initGeminiNavigator);
 } else {
-  setTimeout(initGeminiNavigator, 2000);
+  initGeminiNavigator();
 }
@@ -0,0 +1,49 @@
+/**
+ * @class HuggingChatParser
+ * @extends BaseChatParser
+ * @description Parser for HuggingChat to extract questions and chat history.
+ */
+class HuggingChatParser extends BaseChatParser {
+  constructor() {
+    super({
+      platform: 'huggingchat',
+
+      // HuggingChat marks every turn with its role and ID
+      userMessageSelectors: ['[data-message-role="user"]'],
+      textSelector: '.whitespace-break-spaces, p',
+      messageIdAttributes: ['data-message-id'],
+      minQuestionLength: 1,
+
+      assistantMessageSelectors: ['[data-message-role="assistant"]'],
+
+      // The app lives under /chat, so chat links are /chat/conversation/<id>
+      chatSelectors: ['a[href*="/chat/conversation/"]'],
+      chatTitleSelectors: ['.truncate'],
+      chatIdPattern: /\/conversation\/([^\/\?]+)/,
+      currentChatSelectors: ['h1'],
+      currentChatExcludePattern: /^HuggingChat$/i
+    });
+  }
+}
+
+/**
+ * @function initHuggingChatNavigator
+ * @description Initializes the Chat Navigator for HuggingChat.
+ */
+function initHuggingChatNavigator() {
+  if (window.chatNavigatorInitialized) return;
+  window.chatNavigatorInitialized = true;
+
+  // Start once the page has rendered a message, a chat link or the message box
+  const parser = new HuggingChatParser();
+  parser.whenReady().then(() => {
+    const ui = new ChatNavigatorUI(parser);
+    console.log('HuggingChat Navigator initialized');
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initHuggingChatNavigator);
+} else {
+  initHuggingChatNavigator();
+}
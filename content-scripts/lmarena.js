@@ -0,0 +1,106 @@
+/**
+ * @class LMArenaParser
+ * @extends BaseChatParser
+ * @description Parser for LMArena to extract questions and chat history. In battle and
+ * side-by-side modes one prompt gets an answer from each of two models, shown in panes next to
+ * each other.
+ */
+class LMArenaParser extends BaseChatParser {
+  constructor() {
+    super({
+      platform: 'lmarena',
+
+      userMessageSelectors: ['[data-testid="user-message"]', '[data-testid="user"]', '.message.user'],
+      textSelector: '.prose, [class*="markdown"], .whitespace-pre-wrap',
+      minQuestionLength: 1,
+
+      assistantMessageSelectors: ['[data-testid="assistant-message"]', '[data-testid="bot"]', '.message.bot'],
+
+      chatSelectors: ['nav a[href*="/c/"]', 'aside a[href*="/c/"]'],
+      chatTitleSelectors: ['.truncate', '[class*="truncate"]'],
+      chatIdPattern: /\/c\/([^\/\?]+)/,
+      currentChatSelectors: ['header h1', 'h1'],
+      currentChatExcludePattern: /^(LMArena|New chat)$/i
+    });
+
+    // The answer panes of a battle, in order; any other layout has at most one match
+    this.paneSelectors = ['[data-testid="model-pane"]', '[data-testid="chatbot"]'];
+  }
+
+  /**
+   * @method getPanes
+   * @description Finds the side-by-side answer panes of a battle.
+   * @returns {Array<Element>} The panes, or an empty array outside battle and side-by-side modes.
+   */
+  getPanes() {
+    for (const selector of this.paneSelectors) {
+      const panes = [...document.querySelectorAll(selector)];
+      if (panes.length > 1) {
+        return panes;
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * @method getUserMessages
+   * @description Collects user messages, keeping only the first pane's copy of a battle prompt,
+   * since each pane repeats it above its own answer.
+   * @param {object} [report] - Filled in as by BaseChatParser.getUserMessages().
+   * @returns {Array<Element>} The user message elements.
+   */
+  getUserMessages(report = {}) {
+    const messages = super.getUserMessages(report);
+    const [first, ...others] = this.getPanes();
+    if (!first) return messages;
+
+    const unique = messages.filter(message => !others.some(pane => pane.contains(message)));
+    report.matched = unique.length;
+    return unique;
+  }
+
+  /**
+   * @method getAnswers
+   * @description Extracts answers, labelling each with the pane it is in ("Model A", "Model B")
+   * so the two answers to a battle prompt can be told apart.
+   * @returns {Array<object>} The answer nodes, as BaseChatParser.getAnswers() returns them.
+   */
+  getAnswers() {
+    const answers = super.getAnswers();
+    const panes = this.getPanes();
+    if (panes.length === 0) return answers;
+
+    answers.forEach(answer => {
+      const element = document.querySelector(`[${NAV_ID_ATTRIBUTE}="${CSS.escape(answer.id)}"]`);
+      const index = element ? panes.findIndex(pane => pane.contains(element)) : -1;
+      if (index !== -1) {
+        answer.text = `Model ${String.fromCharCode(65 + index)}: ${answer.text}`;
+      }
+    });
+
+    return answers;
+  }
+}
+
+/**
+ * @function initLMArenaNavigator
+ * @description Initializes the Chat Navigator for LMArena.
+ */
+function initLMArenaNavigator() {
+  if (window.chatNavigatorInitialized) return;
+  window.chatNavigatorInitialized = true;
+
+  // Start once the page has rendered a message, a chat link or the message box
+  const parser = new LMArenaParser();
+  parser.whenReady().then(() => {
+    const ui = new ChatNavigatorUI(parser);
+    console.log('LMArena Navigator initialized');
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initLMArenaNavigator);
+} else {
+  initLMArenaNavigator();
+}
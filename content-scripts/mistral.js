@@ -0,0 +1,47 @@
+/**
+ * @class MistralParser
+ * @extends BaseChatParser
+ * @description Parser for Mistral Le Chat to extract questions and chat history.
+ */
+class MistralParser extends BaseChatParser {
+  constructor() {
+    super({
+      platform: 'mistral',
+
+      userMessageSelectors: ['[data-message-author-role="user"]', '[data-role="user"]', '[class*="user-message"]'],
+      textSelector: '[data-message-part-type], .whitespace-pre-wrap, .prose',
+      minQuestionLength: 1,
+      messageIdAttributes: ['data-message-id'],
+
+      assistantMessageSelectors: ['[data-message-author-role="assistant"]', '[data-role="assistant"]', '[class*="assistant-message"]'],
+
+      chatSelectors: ['nav a[href*="/chat/"]', 'aside a[href*="/chat/"]'],
+      chatTitleSelectors: ['.truncate', '[class*="truncate"]'],
+      chatIdPattern: /\/chat\/([^\/\?]+)/,
+      currentChatSelectors: ['header h1', 'h1'],
+      currentChatExcludePattern: /^(Le Chat|New chat)$/i
+    });
+  }
+}
+
+/**
+ * @function initMistralNavigator
+ * @description Initializes the Chat Navigator for Mistral Le Chat.
+ */
+function initMistralNavigator() {
+  if (window.chatNavigatorInitialized) return;
+  window.chatNavigatorInitialized = true;
+
+  // Start once the page has rendered a message, a chat link or the message box
+  const parser = new MistralParser();
+  parser.whenReady().then(() => {
+    const ui = new ChatNavigatorUI(parser);
+    console.log('Le Chat Navigator initialized');
+  });
+}
+
+if (document.readyState === 'loading') {
+  document.addEventListener('DOMContentLoaded', initMistralNavigator);
+} else {
+  initMistralNavigator();
+}
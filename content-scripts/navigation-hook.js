@@ -0,0 +1,18 @@
+/**
+ * @description Runs in the page's own script world, where the app's router calls the History API.
+ * Content scripts run in an isolated world and can't see those calls, so this reports them with a
+ * window event that `NavigationWatcher` listens for.
+ */
+(() => {
+  if (window.chatNavigatorHistoryHooked) return;
+  window.chatNavigatorHistoryHooked = true;
+
+  ['pushState', 'replaceState'].forEach(method => {
+    const original = history[method];
+    history[method] = function (...args) {
+      const result = original.apply(this, args);
+      window.dispatchEvent(new Event('chatnavigator:locationchange'));
+      return result;
+    };
+  });
+})();
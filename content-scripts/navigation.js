@@ -0,0 +1,68 @@
+/**
+ * @constant {string} LOCATION_CHANGE_EVENT
+ * @description Event `navigation-hook.js` dispatches on `window` after the page changes its URL through the History API.
+ */
+const LOCATION_CHANGE_EVENT = 'chatnavigator:locationchange';
+
+/**
+ * @class NavigationWatcher
+ * @description Detects when a single-page app switches conversations without a page load. History
+ * API calls are reported by a hook running in the page's own script world, back/forward by
+ * `popstate`, and polling the URL catches anything else. Dispatches a `conversationchange` event
+ * whose `detail` holds the new and previous conversation URLs.
+ * @param {number} [pollInterval] - How often to poll the URL, in ms.
+ */
+class NavigationWatcher extends EventTarget {
+  constructor(pollInterval = 1000) {
+    super();
+    this.pollInterval = pollInterval;
+    this.url = this.getConversationUrl();
+    this.timer = null;
+    this.check = this.check.bind(this);
+  }
+
+  /**
+   * @method start
+   * @description Starts watching for URL changes.
+   */
+  start() {
+    window.addEventListener(LOCATION_CHANGE_EVENT, this.check);
+    window.addEventListener('popstate', this.check);
+    this.timer = setInterval(this.check, this.pollInterval);
+  }
+
+  /**
+   * @method stop
+   * @description Stops watching for URL changes.
+   */
+  stop() {
+    window.removeEventListener(LOCATION_CHANGE_EVENT, this.check);
+    window.removeEventListener('popstate', this.check);
+    clearInterval(this.timer);
+  }
+
+  /**
+   * @method check
+   * @description Dispatches `conversationchange` if the conversation URL differs from the last one seen.
+   */
+  check() {
+    const url = this.getConversationUrl();
+    if (url === this.url) return;
+
+    const previousUrl = this.url;
+    this.url = url;
+    this.dispatchEvent(new CustomEvent('conversationchange', { detail: { url, previousUrl } }));
+  }
+
+  /**
+   * @method getConversationUrl
+   * @description Reduces the current URL to origin and path, so query and hash changes within a conversation are ignored.
+   * @returns {string} The conversation URL.
+   */
+  getConversationUrl() {
+    return window.location.origin + window.location.pathname.replace(/\/+$/, '');
+  }
+}
+
+// Export for use in the UI handler
+window.NavigationWatcher = NavigationWatcher;
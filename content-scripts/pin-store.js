@@ -0,0 +1,74 @@
+/**
+ * @class PinStore
+ * @extends StoredList
+ * @description Persists pinned messages in `chrome.storage.local`. Pins from every platform and
+ * conversation live under one key so they can be listed across chats.
+ * @param {string} [storageKey] - The storage key holding the pins.
+ */
+class PinStore extends StoredList {
+  constructor(storageKey = 'chatNavigatorPins') {
+    super(storageKey);
+    this.pendingJumpKey = `${storageKey}PendingJump`;
+  }
+
+  /**
+   * @method add
+   * @description Saves a pin, replacing any existing pin with the same key.
+   * @param {object} pin - The pin to save. Its `key` identifies it within the store.
+   * @returns {Promise<Array<object>>} The updated pins.
+   */
+  add(pin) {
+    return this.update(pins => [pin, ...pins.filter(existing => existing.key !== pin.key)]);
+  }
+
+  /**
+   * @method remove
+   * @description Deletes a pin.
+   * @param {string} key - The key of the pin to delete.
+   * @returns {Promise<Array<object>>} The updated pins.
+   */
+  remove(key) {
+    return this.update(pins => pins.filter(existing => existing.key !== key));
+  }
+
+  /**
+   * @method setPendingJump
+   * @description Remembers a pin to scroll to once its conversation has loaded, which may be on another site.
+   * @param {object} pin - The pin to jump to.
+   * @returns {Promise<void>}
+   */
+  async setPendingJump(pin) {
+    await chrome.storage.local.set({ [this.pendingJumpKey]: { ...pin, requestedAt: Date.now() } });
+  }
+
+  /**
+   * @method clearPendingJump
+   * @description Forgets the pending jump once it has been handled.
+   * @returns {Promise<void>}
+   */
+  async clearPendingJump() {
+    await chrome.storage.local.remove(this.pendingJumpKey);
+  }
+
+  /**
+   * @method takePendingJump
+   * @description Returns the pending jump if it targets the given conversation, clearing it.
+   * Jumps older than two minutes are discarded.
+   * @param {string} conversationUrl - The normalized URL of the current conversation.
+   * @returns {Promise<object|null>} The pin to jump to, or null.
+   */
+  async takePendingJump(conversationUrl) {
+    const result = await chrome.storage.local.get(this.pendingJumpKey);
+    const jump = result[this.pendingJumpKey];
+
+    if (!jump || jump.conversationUrl !== conversationUrl) {
+      return null;
+    }
+
+    await chrome.storage.local.remove(this.pendingJumpKey);
+    return Date.now() - jump.requestedAt < 2 * 60 * 1000 ? jump : null;
+  }
+}
+
+// Export for use in the UI handler
+window.PinStore = PinStore;
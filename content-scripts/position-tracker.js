@@ -0,0 +1,100 @@
+/**
+ * @class PositionTracker
+ * @description Follows which question the reader is at. An IntersectionObserver watches the
+ * question elements through the top half of the viewport; the first question there is current.
+ * While reading a long answer with no question in view, the last question above the viewport is
+ * current instead.
+ * @param {function(string|null): void} onChange - Called with the current question's ID, or null, whenever it changes.
+ */
+class PositionTracker {
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.questions = [];
+    this.idsByElement = new Map();
+    this.visible = new Set();
+    this.currentId = null;
+    this.observer = new IntersectionObserver(entries => this.handleEntries(entries), {
+      rootMargin: '0px 0px -50% 0px'
+    });
+  }
+
+  /**
+   * @method track
+   * @description Starts following a new set of question elements, replacing the previous ones.
+   * @param {Array<{id: string, element: Element}>} questions - The questions and their elements, in document order.
+   */
+  track(questions) {
+    this.observer.disconnect();
+    this.visible.clear();
+    this.questions = questions;
+    this.idsByElement = new Map(questions.map(({ id, element }) => [element, id]));
+    questions.forEach(({ element }) => this.observer.observe(element));
+
+    // The observer reports every element once observed; until then, keep what is still valid
+    if (!questions.some(({ id }) => id === this.currentId)) {
+      this.setCurrent(null);
+    }
+  }
+
+  /**
+   * @method stop
+   * @description Stops following the questions.
+   */
+  stop() {
+    this.observer.disconnect();
+  }
+
+  /**
+   * @method handleEntries
+   * @description Updates the visible questions and works out the current one.
+   * @param {Array<IntersectionObserverEntry>} entries - The changed intersections.
+   */
+  handleEntries(entries) {
+    entries.forEach(entry => {
+      const id = this.idsByElement.get(entry.target);
+      if (!id) return;
+
+      if (entry.isIntersecting) {
+        this.visible.add(id);
+      } else {
+        this.visible.delete(id);
+      }
+    });
+
+    const firstVisible = this.questions.find(({ id }) => this.visible.has(id));
+    if (firstVisible) {
+      this.setCurrent(firstVisible.id);
+      return;
+    }
+
+    // Inside a long answer: it belongs to the last question scrolled past
+    const above = this.questions.slice().reverse().find(({ element }) => element.getBoundingClientRect().top < 0);
+    this.setCurrent(above ? above.id : null);
+  }
+
+  /**
+   * @method setCurrent
+   * @description Records the current question, calling back if it changed.
+   * @param {string|null} id - The ID of the current question.
+   */
+  setCurrent(id) {
+    if (id === this.currentId) return;
+    this.currentId = id;
+    this.onChange(id);
+  }
+
+  /**
+   * @method getPosition
+   * @description Returns where the current question sits among all of them.
+   * @returns {{index: number, total: number}} The zero-based index of the current question (-1 if none) and the number of questions.
+   */
+  getPosition() {
+    return {
+      index: this.questions.findIndex(({ id }) => id === this.currentId),
+      total: this.questions.length
+    };
+  }
+}
+
+// Export for use in the UI handler
+window.PositionTracker = PositionTracker;
@@ -0,0 +1,164 @@
+/**
+ * @constant {Array<{id: string, name: string}>} SETTINGS_PLATFORMS
+ * @description The supported platforms, by the `platform` name their parser uses.
+ */
+const SETTINGS_PLATFORMS = [
+  { id: 'chatgpt', name: 'ChatGPT' },
+  { id: 'claude', name: 'Claude' },
+  { id: 'grok', name: 'Grok' },
+  { id: 'perplexity', name: 'Perplexity' },
+  { id: 'gemini', name: 'Gemini' },
+  { id: 'copilot', name: 'Copilot' },
+  { id: 'meta', name: 'Meta AI' },
+  { id: 'deepseek', name: 'DeepSeek' },
+  { id: 'mistral', name: 'Le Chat' },
+  { id: 'huggingchat', name: 'HuggingChat' },
+  { id: 'lmarena', name: 'LMArena' }
+];
+
+/**
+ * @constant {object} SETTINGS_DEFAULTS
+ * @description Default appearance and behaviour settings.
+ */
+const SETTINGS_DEFAULTS = {
+  dockSide: 'right',      // 'left' or 'right'
+  verticalOffset: 50,     // Percent from the top of the window
+  buttonSize: 48,         // px
+  panelWidth: 320,        // px
+  panelHeight: 400,       // px
+  opacity: 0.9,           // Background opacity, 0.5 - 1
+  theme: 'dark',          // 'light', 'dark' or 'auto'
+  showMinimap: false,     // Question ticks along the window edge
+  enabledPlatforms: Object.fromEntries(SETTINGS_PLATFORMS.map(platform => [platform.id, true]))
+};
+
+/**
+ * @class SettingsStore
+ * @description Reads and writes the extension settings in `chrome.storage.sync`.
+ * @param {string} [storageKey] - The storage key holding the settings.
+ */
+class SettingsStore {
+  constructor(storageKey = 'chatNavigatorSettings') {
+    this.storageKey = storageKey;
+    this.positionsKey = 'chatNavigatorPositions';
+  }
+
+  /**
+   * @method get
+   * @description Loads the settings, filling in defaults for anything not saved.
+   * @returns {Promise<object>} The settings.
+   */
+  async get() {
+    const result = await chrome.storage.sync.get(this.storageKey);
+    return this.withDefaults(result[this.storageKey]);
+  }
+
+  /**
+   * @method set
+   * @description Saves changes to the settings.
+   * @param {object} changes - The settings to change.
+   * @returns {Promise<object>} The updated settings.
+   */
+  async set(changes) {
+    const settings = { ...(await this.get()), ...changes };
+    await chrome.storage.sync.set({ [this.storageKey]: settings });
+    return settings;
+  }
+
+  /**
+   * @method reset
+   * @description Restores the default settings.
+   * @returns {Promise<object>} The default settings.
+   */
+  async reset() {
+    await chrome.storage.sync.remove(this.storageKey);
+    return this.withDefaults();
+  }
+
+  /**
+   * @method getPosition
+   * @description Loads the position the button cluster was dragged to on a site. Positions are
+   * kept per device in `chrome.storage.local`, since they depend on the screen.
+   * @param {string} hostname - The site's hostname.
+   * @returns {Promise<{side: string, offset: number}|null>} The saved position, or null to use the settings.
+   */
+  async getPosition(hostname) {
+    const result = await chrome.storage.local.get(this.positionsKey);
+    return (result[this.positionsKey] || {})[hostname] || null;
+  }
+
+  /**
+   * @method setPosition
+   * @description Saves the position the button cluster was dragged to on a site.
+   * @param {string} hostname - The site's hostname.
+   * @param {{side: string, offset: number}} position - The dock side and vertical offset in percent.
+   * @returns {Promise<void>}
+   */
+  async setPosition(hostname, position) {
+    const result = await chrome.storage.local.get(this.positionsKey);
+    const positions = { ...(result[this.positionsKey] || {}), [hostname]: position };
+    await chrome.storage.local.set({ [this.positionsKey]: positions });
+  }
+
+  /**
+   * @method clearPositions
+   * @description Forgets the dragged positions on every site.
+   * @returns {Promise<void>}
+   */
+  async clearPositions() {
+    await chrome.storage.local.remove(this.positionsKey);
+  }
+
+  /**
+   * @method onPositionChange
+   * @description Calls back whenever the dragged position for a site changes, including when it is cleared.
+   * @param {string} hostname - The site's hostname.
+   * @param {function(object|null): void} callback - Receives the new position, or null.
+   * @returns {function(): void} Stops listening.
+   */
+  onPositionChange(hostname, callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === 'local' && changes[this.positionsKey]) {
+        callback((changes[this.positionsKey].newValue || {})[hostname] || null);
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  /**
+   * @method onChange
+   * @description Calls back whenever the settings change, e.g. from the options page.
+   * @param {function(object): void} callback - Receives the updated settings.
+   * @returns {function(): void} Stops listening.
+   */
+  onChange(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === 'sync' && changes[this.storageKey]) {
+        callback(this.withDefaults(changes[this.storageKey].newValue));
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+
+  /**
+   * @method withDefaults
+   * @description Merges saved settings over the defaults.
+   * @param {object} [settings] - The saved settings.
+   * @returns {object} The complete settings.
+   */
+  withDefaults(settings = {}) {
+    return {
+      ...SETTINGS_DEFAULTS,
+      ...settings,
+      enabledPlatforms: {
+        ...SETTINGS_DEFAULTS.enabledPlatforms,
+        ...(settings.enabledPlatforms || {})
+      }
+    };
+  }
+}
+
+// Export for use in the UI handler and options page
+window.SettingsStore = SettingsStore;
@@ -0,0 +1,60 @@
+/**
+ * @class StoredList
+ * @description A list of records kept under one key in `chrome.storage.local`, shared by every
+ * tab. Subclasses add the operations their records need on top of `update()`.
+ * @param {string} storageKey - The storage key holding the list.
+ */
+class StoredList {
+  constructor(storageKey) {
+    this.storageKey = storageKey;
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * @method getAll
+   * @description Loads every saved record, newest first.
+   * @returns {Promise<Array<object>>} The saved records.
+   */
+  async getAll() {
+    const result = await chrome.storage.local.get(this.storageKey);
+    return result[this.storageKey] || [];
+  }
+
+  /**
+   * @method update
+   * @description Applies a change to the saved records. Writes are queued so that quick successive
+   * changes don't overwrite each other.
+   * @param {function(Array<object>): Array<object>} change - Returns the new records given the current ones.
+   * @returns {Promise<Array<object>>} The updated records.
+   */
+  update(change) {
+    const write = this.writeQueue.then(async () => {
+      const records = change(await this.getAll());
+      await chrome.storage.local.set({ [this.storageKey]: records });
+      return records;
+    });
+
+    // Keep the queue going even if this write fails
+    this.writeQueue = write.catch(() => {});
+    return write;
+  }
+
+  /**
+   * @method onChange
+   * @description Calls back whenever the records change, including from other tabs.
+   * @param {function(Array<object>): void} callback - Receives the updated records.
+   * @returns {function(): void} Stops listening.
+   */
+  onChange(callback) {
+    const listener = (changes, areaName) => {
+      if (areaName === 'local' && changes[this.storageKey]) {
+        callback(changes[this.storageKey].newValue || []);
+      }
+    };
+    chrome.storage.onChanged.addListener(listener);
+    return () => chrome.storage.onChanged.removeListener(listener);
+  }
+}
+
+// Export for use in the pin and template stores
+window.StoredList = StoredList;
@@ -0,0 +1,64 @@
+/**
+ * @constant {RegExp} TEMPLATE_VARIABLE_PATTERN
+ * @description A `{{variable}}` placeholder in a prompt template.
+ */
+const TEMPLATE_VARIABLE_PATTERN = /\{\{\s*([^{}]+?)\s*\}\}/g;
+
+/**
+ * @class TemplateStore
+ * @extends StoredList
+ * @description Persists the prompt library in `chrome.storage.local`. Templates are shared by
+ * every platform: `{id, title, text, tags, createdAt}`, where the text may contain `{{variables}}`
+ * to fill in each time it is used.
+ * @param {string} [storageKey] - The storage key holding the templates.
+ */
+class TemplateStore extends StoredList {
+  constructor(storageKey = 'chatNavigatorTemplates') {
+    super(storageKey);
+  }
+
+  /**
+   * @method save
+   * @description Saves a template, replacing any existing template with the same ID.
+   * @param {object} template - The template to save.
+   * @returns {Promise<Array<object>>} The updated templates.
+   */
+  save(template) {
+    return this.update(templates => [template, ...templates.filter(existing => existing.id !== template.id)]);
+  }
+
+  /**
+   * @method remove
+   * @description Deletes a template.
+   * @param {string} id - The ID of the template to delete.
+   * @returns {Promise<Array<object>>} The updated templates.
+   */
+  remove(id) {
+    return this.update(templates => templates.filter(existing => existing.id !== id));
+  }
+
+  /**
+   * @method getVariables
+   * @description Lists the distinct variables in a template's text, in order of first use.
+   * @param {string} text - The template text.
+   * @returns {Array<string>} The variable names.
+   */
+  getVariables(text) {
+    return [...new Set([...text.matchAll(TEMPLATE_VARIABLE_PATTERN)].map(match => match[1]))];
+  }
+
+  /**
+   * @method fill
+   * @description Replaces a template's variables with the given values. Variables without a value
+   * are left in place.
+   * @param {string} text - The template text.
+   * @param {object} values - The value of each variable, by name.
+   * @returns {string} The filled-in text.
+   */
+  fill(text, values) {
+    return text.replace(TEMPLATE_VARIABLE_PATTERN, (placeholder, name) => (values[name] ? values[name] : placeholder));
+  }
+}
+
+// Export for use in the UI handler
+window.TemplateStore = TemplateStore;
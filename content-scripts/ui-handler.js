@@ -6,10 +6,59 @@
 class ChatNavigatorUI {
   constructor(parser) {
     this.parser = parser;
+    // The page holds only the host element; the navigator renders inside its closed shadow root
+    this.host = null;
+    this.root = null;
+    this.stylesLoaded = null;
     this.container = null;
     this.activePanel = null;
     this.questions = [];
+    this.answers = [];
     this.chats = [];
+    this.expandedNodes = new Set();
+    // Texts of the edit versions seen so far, keyed by turn and version, e.g. '3:2'
+    this.branchTexts = new Map();
+    this.pins = [];
+    this.pinStore = new PinStore();
+    this.templates = [];
+    this.templateStore = new TemplateStore();
+    // Sites defined on the options page, for naming their chats and pins
+    this.customSites = [];
+    this.customSiteStore = new CustomSiteStore();
+    this.exporter = new ConversationExporter(parser);
+    this.settingsStore = new SettingsStore();
+    this.settings = null;
+    this.position = null;
+    this.enabled = false;
+    this.pendingJump = null;
+    this.queries = { questions: '', answers: '', chats: '', prompts: '' };
+    this.selectedIndex = { questions: -1, answers: -1, chats: -1, export: -1, prompts: -1 };
+    this.counts = {
+      questions: { shown: 0, total: 0 },
+      answers: { shown: 0, total: 0 },
+      chats: { shown: 0, total: 0 },
+      prompts: { shown: 0, total: 0 }
+    };
+    this.announceTimeout = null;
+    this.observer = null;
+    this.roots = null;
+    this.changed = new Set();
+    this.updateTimeout = null;
+    // The key and template HTML each rendered list entry was built from, for keyed patching
+    this.rendered = new WeakMap();
+    this.navigation = new NavigationWatcher();
+    this.tracker = new PositionTracker(() => this.updatePosition(true));
+    // Conversations from every platform matching the chats search, from the background chat index
+    this.indexResults = [];
+    this.indexSearchTimeout = null;
+    this.recordTimeout = null;
+    // Signs the parser's selectors no longer match the platform's markup, from detectDrift()
+    this.warnings = [];
+    this.copiedTimeout = null;
+    // Undo functions for listeners outside the navigator's own elements, run by destroy()
+    this.cleanups = [];
+    this.typeAheadBuffer = '';
+    this.typeAheadTimeout = null;
     this.init();
   }
 
@@ -21,53 +70,392 @@ class ChatNavigatorUI {
     this.createUI();
     this.bindEvents();
     this.startObserver();
+    this.watchNavigation();
+    this.loadSettings();
+    this.loadPins();
+    this.loadTemplates();
+    this.loadCustomSites();
+  }
+
+  /**
+   * @method destroy
+   * @description Removes the navigator from the page: disconnects the observer, stops watching
+   * navigation and removes every listener and element it added.
+   */
+  destroy() {
+    clearTimeout(this.updateTimeout);
+    clearTimeout(this.announceTimeout);
+    clearTimeout(this.typeAheadTimeout);
+    clearTimeout(this.indexSearchTimeout);
+    clearTimeout(this.recordTimeout);
+    clearTimeout(this.copiedTimeout);
+    this.observer.disconnect();
+    this.navigation.stop();
+    this.tracker.stop();
+    this.cleanups.forEach(cleanup => cleanup());
+    this.cleanups = [];
+    this.host.remove();
+  }
+
+  /**
+   * @method listen
+   * @description Adds an event listener to the page and remembers it so `destroy()` can remove it.
+   * @param {EventTarget} target - The document, window or other target outside the navigator.
+   * @param {string} type - The event type.
+   * @param {function(Event): void} handler - The listener.
+   * @param {boolean|object} [options] - Listener options.
+   */
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.cleanups.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  /**
+   * @method watchNavigation
+   * @description Resets and re-parses whenever the single-page app switches conversations.
+   */
+  watchNavigation() {
+    this.listen(this.navigation, 'conversationchange', () => this.handleConversationChange());
+    this.navigation.start();
+  }
+
+  /**
+   * @method handleConversationChange
+   * @description Clears state that belongs to the previous conversation (open panel, searches,
+   * selection, expanded answers, scroll positions) and parses the new one.
+   */
+  handleConversationChange() {
+    this.closeAllPanels();
+
+    Object.keys(this.selectedIndex).forEach(type => {
+      this.selectedIndex[type] = -1;
+    });
+    Object.keys(this.queries).forEach(type => {
+      this.queries[type] = '';
+    });
+    this.container.querySelectorAll('.panel-search').forEach(input => {
+      input.value = '';
+    });
+    this.container.querySelectorAll('.panel-content').forEach(list => {
+      list.scrollTop = 0;
+    });
+    this.expandedNodes.clear();
+    this.branchTexts.clear();
+    this.questions = [];
+    this.answers = [];
+
+    this.observeRoots();
     this.updateContent();
   }
 
   /**
    * @method createUI
-   * @description Creates the floating buttons and panels for the extension.
+   * @description Creates the floating buttons and panels for the extension inside a closed shadow
+   * root, so host styles don't reach them and the parsers' selectors never match them.
    */
   createUI() {
-    // Remove existing container if present
-    const existing = document.querySelector('.chat-navigator-container');
-    if (existing) {
-      existing.remove();
-    }
+    // Remove the host left by an earlier instance, if present
+    document.querySelectorAll('chat-navigator').forEach(host => host.remove());
+
+    this.host = document.createElement('chat-navigator');
+    this.root = this.host.attachShadow({ mode: 'closed' });
+    this.stylesLoaded = this.loadStyles();
 
     // Create main container
     this.container = document.createElement('div');
     this.container.className = 'chat-navigator-container';
+    // Hidden until the settings confirm the navigator is enabled on this platform
+    this.container.hidden = true;
     this.container.innerHTML = `
-      <div class="chat-navigator-buttons">
-        <div class="chat-nav-button" data-type="questions" title="Questions">
+      <div class="chat-navigator-buttons" role="group" aria-label="Chat Navigator">
+        <button class="chat-nav-button" type="button" data-type="questions" title="Questions" aria-label="Questions" aria-expanded="false" aria-controls="chat-nav-panel-questions">
           Q
-        </div>
-        <div class="chat-nav-button" data-type="chats" title="Chats">
+          <span class="chat-nav-progress" aria-hidden="true" hidden></span>
+        </button>
+        <button class="chat-nav-button" type="button" data-type="answers" title="Answers" aria-label="Answers" aria-expanded="false" aria-controls="chat-nav-panel-answers">
+          A
+        </button>
+        <button class="chat-nav-button" type="button" data-type="chats" title="Chats" aria-label="Chats" aria-expanded="false" aria-controls="chat-nav-panel-chats">
           C
-        </div>
+        </button>
+        <button class="chat-nav-button" type="button" data-type="export" title="Export" aria-label="Export" aria-expanded="false" aria-controls="chat-nav-panel-export">
+          E
+        </button>
+        <button class="chat-nav-button" type="button" data-type="prompts" title="Prompts" aria-label="Prompts" aria-expanded="false" aria-controls="chat-nav-panel-prompts">
+          P
+        </button>
+        <button class="chat-nav-button chat-nav-warning" type="button" data-type="diagnostics" title="Parser warning" aria-label="Parser diagnostics" aria-expanded="false" aria-controls="chat-nav-panel-diagnostics" hidden>
+          !
+        </button>
       </div>
       
-      <div class="chat-navigator-panel" data-panel="questions">
+      <div class="chat-navigator-panel" data-panel="questions" id="chat-nav-panel-questions" role="dialog" inert aria-labelledby="chat-nav-title-questions">
         <div class="panel-header">
-          <h3 class="panel-title">Questions</h3>
+          <div class="panel-title-row">
+            <h3 class="panel-title" id="chat-nav-title-questions">Questions</h3>
+            <span class="panel-count"></span>
+          </div>
+          <input class="panel-search" type="text" data-search="questions" placeholder="Search questions..." autocomplete="off" spellcheck="false" role="combobox" aria-label="Search questions" aria-expanded="true" aria-autocomplete="list" aria-controls="chat-nav-list-questions">
         </div>
-        <div class="panel-content">
+        <div class="panel-content" id="chat-nav-list-questions" role="listbox" aria-labelledby="chat-nav-title-questions">
           <div class="empty-state">No questions found</div>
         </div>
       </div>
       
-      <div class="chat-navigator-panel" data-panel="chats">
+      <div class="chat-navigator-panel" data-panel="answers" id="chat-nav-panel-answers" role="dialog" inert aria-labelledby="chat-nav-title-answers">
+        <div class="panel-header">
+          <div class="panel-title-row">
+            <h3 class="panel-title" id="chat-nav-title-answers">Answers</h3>
+            <span class="panel-count"></span>
+          </div>
+          <input class="panel-search" type="text" data-search="answers" placeholder="Search answers..." autocomplete="off" spellcheck="false" role="combobox" aria-label="Search answers" aria-expanded="true" aria-autocomplete="list" aria-controls="chat-nav-list-answers">
+        </div>
+        <div class="panel-content" id="chat-nav-list-answers" role="tree" aria-labelledby="chat-nav-title-answers">
+          <div class="empty-state">No answers found</div>
+        </div>
+      </div>
+      
+      <div class="chat-navigator-panel" data-panel="chats" id="chat-nav-panel-chats" role="dialog" inert aria-labelledby="chat-nav-title-chats">
         <div class="panel-header">
-          <h3 class="panel-title">Chats</h3>
+          <div class="panel-title-row">
+            <h3 class="panel-title" id="chat-nav-title-chats">Chats</h3>
+            <span class="panel-count"></span>
+          </div>
+          <input class="panel-search" type="text" data-search="chats" placeholder="Search chats..." autocomplete="off" spellcheck="false" role="combobox" aria-label="Search chats" aria-expanded="true" aria-autocomplete="list" aria-controls="chat-nav-list-chats">
         </div>
-        <div class="panel-content">
+        <div class="panel-content" id="chat-nav-list-chats" role="listbox" aria-labelledby="chat-nav-title-chats">
           <div class="empty-state">No chats found</div>
         </div>
       </div>
+      
+      <div class="chat-navigator-panel" data-panel="export" id="chat-nav-panel-export" role="dialog" inert aria-labelledby="chat-nav-title-export">
+        <div class="panel-header">
+          <div class="panel-title-row">
+            <h3 class="panel-title" id="chat-nav-title-export">Export conversation</h3>
+          </div>
+        </div>
+        <div class="panel-content" id="chat-nav-list-export" role="menu" aria-labelledby="chat-nav-title-export">
+          <div class="nav-item" data-export-format="markdown" role="menuitem" tabindex="0">
+            <div class="nav-item-text">Markdown (.md)</div>
+          </div>
+          <div class="nav-item" data-export-format="json" role="menuitem" tabindex="-1">
+            <div class="nav-item-text">JSON (.json)</div>
+          </div>
+          <div class="nav-item" data-export-format="html" role="menuitem" tabindex="-1">
+            <div class="nav-item-text">HTML (.html)</div>
+          </div>
+        </div>
+      </div>
+
+      <div class="chat-navigator-panel" data-panel="prompts" id="chat-nav-panel-prompts" role="dialog" inert aria-labelledby="chat-nav-title-prompts">
+        <div class="panel-header">
+          <div class="panel-title-row">
+            <h3 class="panel-title" id="chat-nav-title-prompts">Prompts</h3>
+            <span class="panel-count"></span>
+          </div>
+          <input class="panel-search" type="text" data-search="prompts" placeholder="Search prompts..." autocomplete="off" spellcheck="false" role="combobox" aria-label="Search prompts" aria-expanded="true" aria-autocomplete="list" aria-controls="chat-nav-list-prompts">
+        </div>
+        <div class="panel-content" id="chat-nav-list-prompts" role="listbox" aria-labelledby="chat-nav-title-prompts">
+          <div class="empty-state">No saved prompts</div>
+        </div>
+        <form class="panel-form" hidden></form>
+      </div>
+
+      <div class="chat-navigator-panel" data-panel="diagnostics" id="chat-nav-panel-diagnostics" role="dialog" inert aria-labelledby="chat-nav-title-diagnostics">
+        <div class="panel-header">
+          <div class="panel-title-row">
+            <h3 class="panel-title" id="chat-nav-title-diagnostics">Parser diagnostics</h3>
+            <button class="panel-action" type="button" data-action="copy-diagnostics">Copy report</button>
+          </div>
+        </div>
+        <div class="panel-content chat-nav-diagnostics" id="chat-nav-list-diagnostics"></div>
+      </div>
+
+      <div class="chat-nav-live" role="status" aria-live="polite"></div>
     `;
 
-    document.body.appendChild(this.container);
+    this.root.appendChild(this.container);
+
+    // The hover pin button lives outside the container, whose transform would offset fixed positioning
+    this.pinButton = document.createElement('button');
+    this.pinButton.className = 'chat-nav-pin-float';
+    this.pinButton.type = 'button';
+    this.pinButton.hidden = true;
+    // Pointer-only shortcut; keyboard users pin from the panels
+    this.pinButton.tabIndex = -1;
+    this.root.appendChild(this.pinButton);
+
+    // The minimap rail runs along the window edge, outside the container for the same reason
+    this.minimap = document.createElement('nav');
+    this.minimap.className = 'chat-nav-minimap';
+    this.minimap.setAttribute('aria-label', 'Question minimap');
+    this.minimap.hidden = true;
+    this.root.appendChild(this.minimap);
+
+    document.body.appendChild(this.host);
+  }
+
+  /**
+   * @method loadStyles
+   * @description Adopts `floating-ui.css` into the shadow root. It is fetched rather than injected
+   * by the manifest, since page-level stylesheets don't apply inside shadow roots.
+   * @returns {Promise<void>} Resolves once the styles apply, or failed to load.
+   */
+  async loadStyles() {
+    try {
+      const response = await fetch(chrome.runtime.getURL('styles/floating-ui.css'));
+      const sheet = new CSSStyleSheet();
+      sheet.replaceSync(await response.text());
+      this.root.adoptedStyleSheets = [sheet];
+    } catch (error) {
+      console.error('Chat Navigator: failed to load styles', error);
+    }
+  }
+
+  /**
+   * @method loadSettings
+   * @description Loads the user's settings and applies them now and whenever they change.
+   */
+  loadSettings() {
+    const hostname = window.location.hostname;
+
+    // The container stays hidden until then, so it never shows unstyled
+    Promise.all([this.settingsStore.get(), this.settingsStore.getPosition(hostname), this.stylesLoaded]).then(([settings, position]) => {
+      this.position = position;
+      this.applySettings(settings);
+    });
+
+    this.cleanups.push(this.settingsStore.onChange(settings => this.applySettings(settings)));
+    this.cleanups.push(this.settingsStore.onPositionChange(hostname, position => {
+      this.position = position;
+      this.applyPosition();
+    }));
+  }
+
+  /**
+   * @method applySettings
+   * @description Applies position, size, opacity, theme and per-platform enablement settings.
+   * @param {object} settings - The settings from the SettingsStore.
+   */
+  applySettings(settings) {
+    const wasEnabled = this.enabled;
+    this.settings = settings;
+    this.enabled = settings.enabledPlatforms[this.parser.config.platform] !== false;
+
+    [this.container, this.pinButton, this.minimap].forEach(element => {
+      element.style.setProperty('--cn-button-size', `${settings.buttonSize}px`);
+      element.style.setProperty('--cn-panel-width', `${settings.panelWidth}px`);
+      element.style.setProperty('--cn-panel-height', `${settings.panelHeight}px`);
+      element.style.setProperty('--cn-bg-alpha', settings.opacity);
+      element.classList.remove('theme-light', 'theme-dark', 'theme-auto');
+      element.classList.add(`theme-${settings.theme}`);
+      element.hidden = !this.enabled;
+    });
+
+    this.applyPosition();
+    this.renderMinimap();
+
+    if (!this.enabled) {
+      this.closeAllPanels();
+    } else if (!wasEnabled) {
+      this.updateContent();
+    }
+  }
+
+  /**
+   * @method applyPosition
+   * @description Docks the button cluster at the position dragged to on this site, or at the one
+   * from the settings. Panels open towards the middle of the window.
+   */
+  applyPosition() {
+    if (!this.settings) return;
+
+    const { side, offset } = this.position || { side: this.settings.dockSide, offset: this.settings.verticalOffset };
+    const clampedOffset = Math.min(100, Math.max(0, offset));
+
+    this.container.style.setProperty('--cn-offset', `${clampedOffset}%`);
+    this.container.classList.toggle('dock-left', side === 'left');
+    this.container.classList.toggle('align-bottom', clampedOffset > 50);
+    this.minimap.classList.toggle('dock-left', side === 'left');
+  }
+
+  /**
+   * @method bindDrag
+   * @description Lets the button cluster be dragged anywhere, then snaps it to the nearest side
+   * and saves the position for this site.
+   */
+  bindDrag() {
+    const buttons = this.container.querySelector('.chat-navigator-buttons');
+    let drag = null;
+    let suppressClick = false;
+
+    // Swallow the click that ends a drag so it doesn't toggle a panel
+    this.container.addEventListener('click', (e) => {
+      if (suppressClick) {
+        e.stopPropagation();
+      }
+    }, true);
+
+    buttons.addEventListener('pointerdown', (e) => {
+      if (e.button !== 0) return;
+      const rect = this.container.getBoundingClientRect();
+      drag = { pointerId: e.pointerId, startX: e.clientX, startY: e.clientY, rect, moved: false };
+    });
+
+    buttons.addEventListener('pointermove', (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+
+      const dx = e.clientX - drag.startX;
+      const dy = e.clientY - drag.startY;
+
+      // Small movements are still clicks
+      if (!drag.moved) {
+        if (Math.hypot(dx, dy) < 5) return;
+        drag.moved = true;
+        buttons.setPointerCapture(e.pointerId);
+        this.closeAllPanels();
+        this.container.classList.add('dragging');
+      }
+
+      const left = Math.min(window.innerWidth - drag.rect.width, Math.max(0, drag.rect.left + dx));
+      const top = Math.min(window.innerHeight - drag.rect.height, Math.max(0, drag.rect.top + dy));
+      this.container.style.left = `${left}px`;
+      this.container.style.top = `${top}px`;
+    });
+
+    const endDrag = (e) => {
+      if (!drag || e.pointerId !== drag.pointerId) return;
+      const { moved } = drag;
+      drag = null;
+      if (!moved) return;
+
+      const rect = this.container.getBoundingClientRect();
+      const travel = window.innerHeight - rect.height;
+      this.position = {
+        side: rect.left + rect.width / 2 < window.innerWidth / 2 ? 'left' : 'right',
+        offset: travel > 0 ? Math.round((rect.top / travel) * 100) : 50
+      };
+
+      this.container.classList.remove('dragging');
+      this.container.style.left = '';
+      this.container.style.top = '';
+      this.applyPosition();
+      this.settingsStore.setPosition(window.location.hostname, this.position);
+
+      suppressClick = true;
+      setTimeout(() => {
+        suppressClick = false;
+      }, 0);
+    };
+
+    buttons.addEventListener('pointerup', endDrag);
+    buttons.addEventListener('pointercancel', endDrag);
+
+    // Offsets are relative to the window height, so reapplying keeps the cluster on screen
+    this.listen(window, 'resize', () => {
+      this.applyPosition();
+      this.layoutMinimap();
+    });
   }
 
   /**
@@ -77,31 +465,104 @@ class ChatNavigatorUI {
   bindEvents() {
     // Button click handlers
     this.container.querySelectorAll('.chat-nav-button').forEach(button => {
-      button.addEventListener('click', (e) => {
-        const type = e.target.dataset.type;
+      button.addEventListener('click', () => {
+        const type = button.dataset.type;
         this.togglePanel(type);
       });
     });
 
-    // Click outside to close
-    document.addEventListener('click', (e) => {
-      if (!this.container.contains(e.target)) {
+    // Search inputs filter their panel as you type
+    this.container.querySelectorAll('.panel-search').forEach(input => {
+      const type = input.dataset.search;
+
+      input.addEventListener('input', () => {
+        this.queries[type] = input.value;
+        this.selectedIndex[type] = -1;
+        if (type === 'chats') {
+          this.searchIndex();
+        }
+        this.renderPanel(type);
+        this.container.querySelector(`[data-panel="${type}"] .panel-content`).scrollTop = 0;
+      });
+
+      input.addEventListener('keydown', (e) => {
+        this.handleSearchKeydown(type, e);
+      });
+    });
+
+    this.bindListEvents();
+
+    this.minimap.addEventListener('click', (e) => {
+      const tick = e.target.closest('.chat-nav-minimap-tick');
+      if (tick) {
+        this.scrollToElement(tick.dataset.elementId);
+      }
+    });
+
+    // Arrow keys, Home/End, Enter and type-ahead move through each panel's items
+    this.container.querySelectorAll('.chat-navigator-panel').forEach(panel => {
+      panel.querySelector('.panel-content').addEventListener('keydown', (e) => {
+        this.handleListKeydown(panel.dataset.panel, e);
+      });
+    });
+
+    this.container.querySelector('[data-action="copy-diagnostics"]').addEventListener('click', () => {
+      this.copyDiagnostics();
+    });
+
+    this.bindTemplateForm();
+
+    // Export actions
+    this.container.querySelectorAll('[data-export-format]').forEach(item => {
+      item.addEventListener('click', () => {
+        this.exporter.export(item.dataset.exportFormat);
+        this.closeAllPanels();
+      });
+    });
+
+    this.bindPinAffordance();
+    this.bindDrag();
+
+    // Click outside to close. The page only sees the host of the closed shadow root in the path
+    this.listen(document, 'click', (e) => {
+      if (!e.composedPath().includes(this.host)) {
         this.closeAllPanels();
       }
     });
 
+    this.container.addEventListener('keydown', (e) => {
+      this.trapFocus(e);
+    });
+
     // Escape key to close
-    document.addEventListener('keydown', (e) => {
+    this.listen(document, 'keydown', (e) => {
       if (e.key === 'Escape') {
         this.closeAllPanels();
       }
     });
+
+    // Global shortcuts are relayed by the background service worker; the toolbar popup messages directly
+    const onMessage = (message, sender, sendResponse) => {
+      if (!message) return;
+
+      if (message.type === 'chatNavigatorCommand') {
+        this.handleCommand(message.command);
+      } else if (message.type === 'chatNavigatorGetState') {
+        sendResponse(this.getState());
+      } else if (message.type === 'chatNavigatorJump' && this.enabled) {
+        this.scrollToElement(message.elementId);
+      } else if (message.type === 'chatNavigatorExport' && this.enabled) {
+        this.exporter.export(message.format);
+      }
+    };
+    chrome.runtime.onMessage.addListener(onMessage);
+    this.cleanups.push(() => chrome.runtime.onMessage.removeListener(onMessage));
   }
 
   /**
    * @method togglePanel
-   * @description Toggles the visibility of the questions and chats panels.
-   * @param {string} type - The type of panel to toggle ('questions' or 'chats').
+   * @description Toggles the visibility of the questions, answers, chats, export and prompts panels.
+   * @param {string} type - The type of panel to toggle ('questions', 'answers', 'chats', 'export' or 'prompts').
    */
   togglePanel(type) {
     const button = this.container.querySelector(`[data-type="${type}"]`);
@@ -115,34 +576,194 @@ class ChatNavigatorUI {
       this.closeAllPanels();
       this.activePanel = type;
       button.classList.add('active');
+      button.setAttribute('aria-expanded', 'true');
       panel.classList.add('show');
+      panel.removeAttribute('inert');
+      // Catch up on changes made while the panels were closed
+      this.refresh();
+      if (type === 'prompts') {
+        this.closeTemplateForm();
+      }
+      if (type === 'diagnostics') {
+        // The badge only shows while there are warnings, but the panel can also be opened on demand
+        button.hidden = false;
+        this.renderDiagnostics();
+      }
+      const focusTarget = panel.querySelector('.panel-search') || panel.querySelector('.nav-item[tabindex="0"]') ||
+        panel.querySelector('.panel-action');
+      if (focusTarget) {
+        focusTarget.focus({ preventScroll: true });
+      }
+      if (this.counts[type]) {
+        this.announce(this.describeCount(type));
+      }
     }
   }
 
   /**
    * @method closeAllPanels
-   * @description Closes all open panels.
+   * @description Closes all open panels. If focus was inside the navigator, it returns to the
+   * button of the panel that was open.
    */
   closeAllPanels() {
+    const openButton = this.activePanel && this.container.querySelector(`[data-type="${this.activePanel}"]`);
+    const restoreFocus = !!openButton && this.container.contains(this.root.activeElement);
+
     this.activePanel = null;
     this.container.querySelectorAll('.chat-nav-button').forEach(btn => {
       btn.classList.remove('active');
+      btn.setAttribute('aria-expanded', 'false');
     });
+    // Closed panels only fade out, so keep them out of the tab order and accessibility tree
     this.container.querySelectorAll('.chat-navigator-panel').forEach(panel => {
       panel.classList.remove('show');
+      panel.setAttribute('inert', '');
     });
+
+    if (restoreFocus) {
+      openButton.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * @method trapFocus
+   * @description Keeps Tab and Shift+Tab cycling through the open panel's tab stops.
+   * @param {KeyboardEvent} e - The keydown event.
+   */
+  trapFocus(e) {
+    if (e.key !== 'Tab' || !this.activePanel) return;
+
+    const panel = this.container.querySelector(`[data-panel="${this.activePanel}"]`);
+    if (!panel.contains(this.root.activeElement)) return;
+
+    const stops = Array.from(panel.querySelectorAll('input, textarea, button, [tabindex]'))
+      .filter(element => element.tabIndex >= 0 && !element.disabled && !element.closest('[hidden]'));
+    if (stops.length === 0) return;
+
+    const first = stops[0];
+    const last = stops[stops.length - 1];
+    if (e.shiftKey && this.root.activeElement === first) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && this.root.activeElement === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * @method announce
+   * @description Reads a message out through the navigator's live region.
+   * @param {string} message - The message to announce.
+   */
+  announce(message) {
+    const region = this.container.querySelector('.chat-nav-live');
+    clearTimeout(this.announceTimeout);
+    // Wait for typing to settle, and clear first so a repeated message is read again
+    region.textContent = '';
+    this.announceTimeout = setTimeout(() => {
+      region.textContent = message;
+    }, 300);
+  }
+
+  /**
+   * @method describeCount
+   * @description Describes how many items a panel lists, e.g. "42 questions" or "3 of 42 chats".
+   * @param {string} type - The type of panel ('questions', 'answers' or 'chats').
+   * @returns {string} The description.
+   */
+  describeCount(type) {
+    const { shown, total } = this.counts[type];
+    const noun = total === 1 ? type.slice(0, -1) : type;
+    return this.queries[type].trim() ? `${shown} of ${total} ${noun}` : `${total} ${noun}`;
   }
 
   /**
    * @method updateContent
-   * @description Fetches the latest questions and chats from the parser and renders them.
+   * @description Fetches the latest questions, answers and chats from the parser and renders them.
    */
   updateContent() {
-    this.questions = this.parser.getQuestions();
-    this.chats = this.parser.getChats();
-    
-    this.renderQuestions();
-    this.renderChats();
+    this.changed = new Set(['questions', 'answers', 'chats']);
+    this.refresh();
+  }
+
+  /**
+   * @method refresh
+   * @description Re-parses and re-renders only what changed on the page since the last refresh.
+   * @param {Array<string>} [kinds] - The lists to bring up to date; other changes stay pending.
+   */
+  refresh(kinds = ['questions', 'answers', 'chats']) {
+    if (!this.enabled) return;
+
+    clearTimeout(this.updateTimeout);
+    const changed = new Set(kinds.filter(kind => this.changed.has(kind)));
+    changed.forEach(kind => this.changed.delete(kind));
+
+    if (changed.has('questions')) {
+      this.questions = this.parser.getQuestions();
+      this.questions.forEach(question => {
+        if (question.branch) {
+          this.branchTexts.set(`${question.turn}:${question.branch.current}`, question.text);
+        }
+      });
+      this.trackQuestions();
+      this.recordVisit();
+    }
+    if (changed.has('answers')) {
+      this.answers = this.parser.getAnswers();
+      this.renderAnswers();
+    }
+    // Pinned answers are listed with the questions, so either change re-renders them
+    if (changed.has('questions') || changed.has('answers')) {
+      this.renderQuestions();
+    }
+    if (changed.has('chats')) {
+      this.chats = this.parser.getChats();
+      this.renderChats();
+    }
+
+    if (changed.size) {
+      this.updateHealth();
+    }
+    this.resolvePendingJump();
+  }
+
+  /**
+   * @method updateHealth
+   * @description Checks the parser for selector drift and shows the warning badge while there is any.
+   */
+  updateHealth() {
+    const hadWarnings = this.warnings.length > 0;
+    this.warnings = this.parser.detectDrift();
+
+    const badge = this.container.querySelector('[data-type="diagnostics"]');
+    badge.hidden = this.warnings.length === 0 && this.activePanel !== 'diagnostics';
+    badge.title = this.warnings.length ? this.warnings.join('\n') : 'Parser diagnostics';
+
+    // The questions panel explains an empty list differently when the selectors look broken
+    if (hadWarnings !== this.warnings.length > 0) {
+      this.renderQuestions();
+    }
+    if (this.activePanel === 'diagnostics') {
+      this.renderDiagnostics();
+    }
+  }
+
+  /**
+   * @method renderPanel
+   * @description Re-renders a single panel from the data already fetched.
+   * @param {string} type - The type of panel to render ('questions', 'answers', 'chats' or 'prompts').
+   */
+  renderPanel(type) {
+    if (type === 'questions') {
+      this.renderQuestions();
+    } else if (type === 'answers') {
+      this.renderAnswers();
+    } else if (type === 'prompts') {
+      this.renderPrompts();
+    } else {
+      this.renderChats();
+    }
   }
 
   /**
@@ -151,108 +772,1871 @@ class ChatNavigatorUI {
    */
   renderQuestions() {
     const panel = this.container.querySelector('[data-panel="questions"] .panel-content');
-    
-    if (this.questions.length === 0) {
-      panel.innerHTML = '<div class="empty-state">No questions found</div>';
-      return;
+    const hadFocus = panel.contains(this.root.activeElement);
+    const matches = this.filterItems(this.questions, 'text', this.queries.questions);
+    this.updateCount('questions', matches.length, this.questions.length);
+
+    // Pins for this conversation are listed first while no search is active
+    const pins = this.queries.questions.trim() ? [] : this.getConversationPins();
+    const entries = pins.length ? [
+      { key: 'section-pinned', html: '<div class="panel-section-title" role="presentation">Pinned</div>' },
+      ...pins.map(pin => ({ key: `pin-${pin.key}`, html: this.renderPinnedItem(pin) })),
+      { key: 'section-all', html: '<div class="panel-section-title" role="presentation">All questions</div>' }
+    ] : [];
+
+    if (this.questions.length === 0 && this.warnings.length) {
+      entries.push({ key: 'empty', html: '<div class="empty-state">No questions found. The page layout may have changed; the ! button has details.</div>' });
+    } else if (this.questions.length === 0) {
+      entries.push({ key: 'empty', html: '<div class="empty-state">No questions found</div>' });
+    } else if (matches.length === 0) {
+      entries.push({ key: 'empty', html: '<div class="empty-state">No matching questions</div>' });
+    } else {
+      matches.forEach(({ item: question, ranges }) => {
+        entries.push({
+          key: question.id,
+          html: `
+            <div class="nav-item nav-item-row" data-element-id="${question.id}" role="option" tabindex="-1" title="${this.escapeHtml(question.fullText)}">
+              <div class="nav-item-body">
+                <div class="nav-item-text">${this.highlightText(question.text, ranges)}</div>
+                ${this.renderQuestionTags(question)}
+              </div>
+              <button class="nav-item-template" type="button" data-template-source="${question.id}" title="Save as template" aria-label="Save as template" tabindex="-1">+</button>
+              ${this.renderPinButton(question)}
+            </div>
+          `
+        });
+        if (question.branch) {
+          entries.push(...this.renderBranchItems(question));
+        }
+      });
     }
 
-    panel.innerHTML = this.questions.map(question => `
-      <div class="nav-item" data-element-id="${question.id}">
-        <div class="nav-item-text">${this.escapeHtml(question.text)}</div>
-      </div>
-    `).join('');
+    this.patchList(panel, entries);
+    this.updateSelection('questions', hadFocus);
+    this.markCurrentQuestion(false);
+  }
 
-    // Add click handlers
-    panel.querySelectorAll('.nav-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const elementId = item.dataset.elementId;
-        this.scrollToElement(elementId);
-        this.closeAllPanels();
+  /**
+   * @method renderBranchItems
+   * @description Renders an edited question's versions as items nested under it. Versions show
+   * their text once they have been displayed on the page.
+   * @param {object} question - The question, with its `branch`.
+   * @returns {Array<{key: string, html: string}>} The list entries.
+   */
+  renderBranchItems(question) {
+    const { current, total } = question.branch;
+    const entries = [];
+
+    for (let version = 1; version <= total; version++) {
+      const text = this.branchTexts.get(`${question.turn}:${version}`);
+      const shown = version === current;
+      entries.push({
+        key: `${question.id}-branch-${version}`,
+        html: `
+          <div class="nav-item nav-item-branch${shown ? ' shown' : ''}" data-element-id="${question.id}" data-branch-version="${version}" role="option" tabindex="-1"${shown ? ' aria-current="true"' : ''}>
+            <div class="nav-item-text">Version ${version}${shown ? ' (shown)' : ''}${text ? `: ${this.escapeHtml(text)}` : ''}</div>
+          </div>
+        `
       });
-    });
+    }
+
+    return entries;
   }
 
   /**
-   * @method renderChats
-   * @description Renders the list of chats in the chats panel.
+   * @method switchBranch
+   * @description Shows another edit version of a question by pressing the platform's own
+   * previous and next buttons until it is displayed, then scrolls to it.
+   * @param {string} elementId - The ID of the question as currently shown.
+   * @param {number} version - The 1-based version to show.
    */
-  renderChats() {
-    const panel = this.container.querySelector('[data-panel="chats"] .panel-content');
-    
-    if (this.chats.length === 0) {
-      panel.innerHTML = '<div class="empty-state">No chats found</div>';
-      return;
+  async switchBranch(elementId, version) {
+    const element = this.findElement(elementId);
+    let controls = element && this.parser.getBranchControls(element);
+
+    // Each press shows the neighbouring version; give up if the switcher stops responding
+    for (let steps = 0; controls && controls.current !== version && steps < controls.total; steps++) {
+      const button = version < controls.current ? controls.previous : controls.next;
+      if (!button || button.disabled) break;
+
+      const shown = controls.current;
+      button.click();
+      controls = await this.waitForBranchChange(controls.turn, shown);
     }
 
-    panel.innerHTML = this.chats.map(chat => `
-      <div class="nav-item" data-element-id="${chat.id}">
-        <div class="nav-item-text">${this.escapeHtml(chat.title)}</div>
-      </div>
-    `).join('');
+    this.updateContent();
+    if (!controls) return;
 
-    // Add click handlers
-    panel.querySelectorAll('.nav-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const elementId = item.dataset.elementId;
-        this.scrollToElement(elementId);
-        this.closeAllPanels();
-      });
+    const question = this.questions.find(candidate => {
+      const candidateElement = this.findElement(candidate.id);
+      return candidateElement && controls.turn.contains(candidateElement);
     });
+    if (question) {
+      this.scrollToElement(question.id);
+    }
   }
 
   /**
-   * @method scrollToElement
-   * @description Scrolls the page to the specified element.
-   * @param {string} elementId - The ID of the element to scroll to.
+   * @method waitForBranchChange
+   * @description Waits for a turn's edit-version switcher to move off the version it showed.
+   * @param {Element} turn - The turn container.
+   * @param {number} shown - The version shown before the switch.
+   * @param {number} [timeout] - How long to wait, in milliseconds.
+   * @returns {Promise<object|null>} The turn's branch controls once they change, or null if the turn went away or nothing changed in time.
    */
-  scrollToElement(elementId) {
-    const element = document.getElementById(elementId) || document.querySelector(`[data-id="${elementId}"]`);
-    if (element) {
-      element.scrollIntoView({ 
-        behavior: 'smooth', 
-        block: 'center' 
-      });
-      
-      // Add highlight effect
-      element.style.transition = 'background-color 0.3s ease';
-      element.style.backgroundColor = 'rgba(59, 130, 246, 0.1)';
-      setTimeout(() => {
-        element.style.backgroundColor = '';
-      }, 2000);
-    }
+  waitForBranchChange(turn, shown, timeout = 3000) {
+    const started = Date.now();
+
+    return new Promise(resolve => {
+      const check = () => {
+        const controls = turn.isConnected ? this.parser.getBranchControls(turn) : null;
+        if (!controls || controls.current !== shown) {
+          resolve(controls);
+        } else if (Date.now() - started > timeout) {
+          resolve(null);
+        } else {
+          setTimeout(check, 100);
+        }
+      };
+      setTimeout(check, 100);
+    });
   }
 
   /**
-   * @method startObserver
-   * @description Starts a MutationObserver to watch for changes in the DOM.
+   * @method renderQuestionTags
+   * @description Renders a question's details as compact tags: its turn, length, attachments,
+   * code, edit version and time.
+   * @param {object} question - The question from the parser.
+   * @returns {string} The tags HTML.
    */
-  startObserver() {
-    // Watch for DOM changes to update content
-    const observer = new MutationObserver(() => {
-      // Debounce updates
-      clearTimeout(this.updateTimeout);
-      this.updateTimeout = setTimeout(() => {
-        this.updateContent();
-      }, 500);
-    });
+  renderQuestionTags(question) {
+    const tags = [[`#${question.turn}`, `Turn ${question.turn}`]];
+
+    const length = question.length < 1000 ? `${question.length}` : `${(question.length / 1000).toFixed(1)}k`;
+    tags.push([`${length} chars`, `${question.length} characters`]);
 
-    observer.observe(document.body, {
-      childList: true,
-      subtree: true
+    const attachmentLabels = { image: 'Image', file: 'File' };
+    question.attachments.forEach(type => {
+      const label = attachmentLabels[type] || type;
+      tags.push([label, `Has ${label.toLowerCase()} attachment`]);
     });
+    if (question.hasCode) {
+      tags.push(['Code', 'Contains code']);
+    }
+    if (question.branch) {
+      const { current, total } = question.branch;
+      tags.push([`${current}/${total}`, `Edit version ${current} of ${total}`]);
+    }
+    if (question.time) {
+      const date = new Date(question.time);
+      const time = isNaN(date) ? question.time : date.toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+      tags.push([time, `Sent ${time}`]);
+    }
+
+    return `
+      <div class="nav-item-tags">
+        ${tags.map(([text, label]) => `<span class="nav-item-tag" title="${this.escapeHtml(label)}">${this.escapeHtml(text)}</span>`).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * @method renderAnswers
+   * @description Renders the answers panel as a collapsible tree of answers and their outlines.
+   * While a search is active, every branch with a match is expanded.
+   */
+  renderAnswers() {
+    const panel = this.container.querySelector('[data-panel="answers"] .panel-content');
+    const hadFocus = panel.contains(this.root.activeElement);
+    const query = this.queries.answers;
+    const matches = this.filterTree(this.answers, query);
+    this.updateCount('answers', matches.length, this.answers.length);
+
+    if (this.answers.length === 0) {
+      this.patchList(panel, [{ key: 'empty', html: '<div class="empty-state">No answers found</div>' }]);
+      return;
+    }
+
+    if (matches.length === 0) {
+      this.patchList(panel, [{ key: 'empty', html: '<div class="empty-state">No matching answers</div>' }]);
+      return;
+    }
+
+    // Flatten the visible part of the tree into rows
+    const rows = [];
+    const addRows = (entries, depth) => {
+      entries.forEach(entry => {
+        const expanded = !!query.trim() || this.expandedNodes.has(entry.node.id);
+        rows.push({ ...entry, depth, expanded });
+        if (expanded) {
+          addRows(entry.children, depth + 1);
+        }
+      });
+    };
+    addRows(matches, 0);
+
+    this.patchList(panel, rows.map(({ node, ranges, children, depth, expanded }) => ({
+      key: node.id,
+      html: `
+        <div class="nav-item nav-tree-item" data-element-id="${node.id}" role="treeitem" aria-level="${depth + 1}"${children.length ? ` aria-expanded="${expanded}"` : ''} tabindex="-1" style="padding-left: ${20 + depth * 14}px">
+          ${children.length
+            ? `<span class="nav-tree-toggle${expanded ? ' expanded' : ''}" data-toggle-id="${node.id}" aria-hidden="true"></span>`
+            : '<span class="nav-tree-spacer"></span>'}
+          ${node.type === 'answer' ? '' : `<span class="nav-item-badge" aria-label="${node.type === 'code' ? 'Code' : `Heading ${node.level}`}">${node.type === 'code' ? '&lt;/&gt;' : `H${node.level}`}</span>`}
+          <div class="nav-item-text">${this.highlightText(node.text, ranges)}</div>
+          ${node.type === 'answer' ? this.renderPinButton(node) : ''}
+        </div>
+      `
+    })));
+
+    this.updateSelection('answers', hadFocus);
+  }
+
+  /**
+   * @method filterTree
+   * @description Filters a tree of outline nodes, keeping nodes that match and the ancestors of any match.
+   * @param {Array<object>} nodes - The nodes to filter, each with `text` and `children`.
+   * @param {string} query - The search query.
+   * @returns {Array<{node: object, ranges: Array<Array<number>>, children: Array<object>}>} The kept nodes with their highlight ranges.
+   */
+  filterTree(nodes, query) {
+    const results = [];
+
+    nodes.forEach(node => {
+      const ranges = this.matchText(node.text, query);
+      const children = this.filterTree(node.children || [], query);
+      if (ranges || children.length) {
+        results.push({ node, ranges: ranges || [], children });
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * @method renderChats
+   * @description Renders the list of chats in the chats panel.
+   */
+  renderChats() {
+    const panel = this.container.querySelector('[data-panel="chats"] .panel-content');
+    const hadFocus = panel.contains(this.root.activeElement);
+    const matches = this.filterItems(this.chats, 'title', this.queries.chats);
+    this.updateCount('chats', matches.length, this.chats.length);
+
+    // Pins from every other conversation, on any platform, are listed first while no search is active
+    const currentUrl = this.normalizeUrl(window.location.href);
+    const pins = this.queries.chats.trim() ? [] : this.pins.filter(pin => pin.conversationUrl !== currentUrl);
+    const entries = pins.length ? [
+      { key: 'section-pinned', html: '<div class="panel-section-title" role="presentation">Pinned in other chats</div>' },
+      ...pins.map(pin => ({ key: `pin-${pin.key}`, html: this.renderPinnedItem(pin, true) })),
+      { key: 'section-all', html: '<div class="panel-section-title" role="presentation">Chats</div>' }
+    ] : [];
+
+    if (this.chats.length === 0) {
+      entries.push({ key: 'empty', html: '<div class="empty-state">No chats found</div>' });
+    } else if (matches.length === 0) {
+      entries.push({ key: 'empty', html: '<div class="empty-state">No matching chats</div>' });
+    } else {
+      matches.forEach(({ item: chat, ranges }) => {
+        const current = this.isCurrentChat(chat.url);
+        entries.push({
+          key: chat.id,
+          html: `
+            <div class="nav-item${current ? ' active' : ''}" data-element-id="${chat.id}" data-url="${this.escapeHtml(chat.url || '')}" role="option" tabindex="-1"${current ? ' aria-current="page"' : ''}>
+              <div class="nav-item-text">${this.highlightText(chat.title, ranges)}</div>
+            </div>
+          `
+        });
+      });
+    }
+
+    // Matches from the chat index, on any platform, that the sidebar list above doesn't already show
+    const shownUrls = new Set(matches.map(({ item: chat }) => this.normalizeUrl(chat.url)));
+    const indexed = this.queries.chats.trim()
+      ? this.indexResults.filter(result => !shownUrls.has(this.normalizeUrl(result.url)))
+      : [];
+    if (indexed.length) {
+      entries.push({ key: 'section-index', html: '<div class="panel-section-title" role="presentation">Across platforms</div>' });
+      indexed.forEach(result => {
+        entries.push({ key: `index-${result.url}`, html: this.renderIndexedChat(result) });
+      });
+    }
+
+    this.patchList(panel, entries);
+    this.updateSelection('chats', hadFocus);
+  }
+
+  /**
+   * @method renderIndexedChat
+   * @description Renders a conversation from the chat index as a chats panel item.
+   * @param {object} result - The search result, with `url`, `platform`, `title` and `matchedQuestion`.
+   * @returns {string} The item HTML.
+   */
+  renderIndexedChat(result) {
+    const query = this.queries.chats;
+    const title = result.title || result.matchedQuestion || result.url;
+    const detail = result.matchedQuestion || new Date(result.lastSeen).toLocaleDateString();
+
+    return `
+      <div class="nav-item nav-item-row" data-url="${this.escapeHtml(result.url)}" role="option" tabindex="-1">
+        <div class="nav-item-body">
+          <div class="nav-item-text">${this.highlightText(title, this.matchText(title, query) || [])}</div>
+          <div class="nav-item-meta">${this.escapeHtml(this.getPlatformName(result.platform))} &middot; ${this.highlightText(detail, this.matchText(detail, query) || [])}</div>
+        </div>
+      </div>
+    `;
+  }
+
+  /**
+   * @method searchIndex
+   * @description Searches the chat index in the background for the current chats query, then
+   * re-renders the chats panel with the results.
+   */
+  searchIndex() {
+    clearTimeout(this.indexSearchTimeout);
+    const query = this.queries.chats.trim();
+    if (!query) {
+      this.indexResults = [];
+      return;
+    }
+
+    this.indexSearchTimeout = setTimeout(async () => {
+      try {
+        const results = await chrome.runtime.sendMessage({ type: 'chatIndexSearch', query, limit: 20 });
+        // Drop answers to queries the user has typed past
+        if (query !== this.queries.chats.trim()) return;
+        this.indexResults = results || [];
+        this.renderChats();
+      } catch (e) {
+        // The extension was reloaded; this page can no longer reach it
+      }
+    }, 150);
+  }
+
+  /**
+   * @method recordVisit
+   * @description Saves the current conversation, with its questions, to the chat index. Debounced,
+   * since questions are re-parsed on every new turn.
+   */
+  recordVisit() {
+    clearTimeout(this.recordTimeout);
+
+    this.recordTimeout = setTimeout(() => {
+      if (this.questions.length === 0) return;
+
+      const url = this.normalizeUrl(window.location.href);
+      const chat = this.chats.find(candidate => this.normalizeUrl(candidate.url) === url);
+      const entry = {
+        url,
+        platform: this.parser.config.platform,
+        title: (chat && chat.title) || this.parser.getCurrentChatTitle() || this.questions[0].text,
+        questions: this.questions.map(question => question.text)
+      };
+
+      chrome.runtime.sendMessage({ type: 'chatIndexRecord', entry }).catch(() => {
+        // The extension was reloaded; this page can no longer reach it
+      });
+    }, 2000);
+  }
+
+  /**
+   * @method renderDiagnostics
+   * @description Renders the diagnostics panel: drift warnings, the roots found, and for each list
+   * the selector strategy that matched, per-selector counts and what was dropped.
+   */
+  renderDiagnostics() {
+    const panel = this.container.querySelector('[data-panel="diagnostics"] .panel-content');
+    const diagnostics = this.parser.getDiagnostics();
+    const describeRoot = root => root ? `<code>${this.escapeHtml(root)}</code>` : 'not found';
+
+    const warnings = diagnostics.warnings.length
+      ? `<ul class="diagnostics-warnings">${diagnostics.warnings.map(warning => `<li>${this.escapeHtml(warning)}</li>`).join('')}</ul>`
+      : '<p class="diagnostics-ok">No problems detected.</p>';
+
+    const lists = ['questions', 'answers', 'chats'].map(kind => {
+      const report = diagnostics[kind];
+      const title = kind.charAt(0).toUpperCase() + kind.slice(1);
+      if (!report) {
+        return `<div class="panel-section-title">${title}</div><p class="diagnostics-note">Not parsed yet.</p>`;
+      }
+
+      const selectors = report.selectors.map(({ selector, count }) => `
+        <tr><td><code>${this.escapeHtml(selector)}</code></td><td>${count}</td></tr>
+      `).join('');
+
+      return `
+        <div class="panel-section-title">${title}</div>
+        <dl class="diagnostics-summary">
+          <dt>Strategy</dt><dd>${report.strategy}</dd>
+          <dt>Found</dt><dd>${report.matched} matched, ${report.kept} kept</dd>
+          <dt>Dropped</dt><dd>${this.describeDropped(report.dropped)}</dd>
+        </dl>
+        <table class="diagnostics-selectors">${selectors}</table>
+      `;
+    }).join('');
+
+    panel.innerHTML = `
+      ${warnings}
+      <dl class="diagnostics-summary">
+        <dt>Parser</dt><dd>${this.escapeHtml(diagnostics.parser)}</dd>
+        <dt>Conversation</dt><dd>${describeRoot(diagnostics.roots.conversation)}</dd>
+        <dt>Sidebar</dt><dd>${describeRoot(diagnostics.roots.sidebar)}</dd>
+      </dl>
+      ${lists}
+    `;
+  }
+
+  /**
+   * @method describeDropped
+   * @description Summarizes the elements a parser matched but left out, by reason.
+   * @param {object} dropped - Counts by reason, from the parser's diagnostics.
+   * @returns {string} E.g. "2 too short, 1 duplicate", or "none".
+   */
+  describeDropped(dropped) {
+    const reasons = {
+      tooShort: 'too short',
+      skipped: 'skip pattern',
+      empty: 'empty',
+      untitled: 'untitled',
+      duplicate: 'duplicate'
+    };
+    const parts = Object.entries(dropped)
+      .filter(([, count]) => count > 0)
+      .map(([reason, count]) => `${count} ${reasons[reason] || reason}`);
+
+    return parts.length ? parts.join(', ') : 'none';
+  }
+
+  /**
+   * @method buildDiagnosticsReport
+   * @description Formats the parser diagnostics as Markdown for pasting into a bug report.
+   * @returns {string} The report.
+   */
+  buildDiagnosticsReport() {
+    const diagnostics = this.parser.getDiagnostics();
+    const lines = [
+      '## Chat Navigator diagnostics',
+      '',
+      `- Extension: ${chrome.runtime.getManifest().version}`,
+      `- Platform: ${diagnostics.platform} (${diagnostics.parser})`,
+      `- Page: ${diagnostics.url}`,
+      `- Browser: ${navigator.userAgent}`,
+      `- Time: ${new Date().toISOString()}`,
+      `- Conversation root: ${diagnostics.roots.conversation || 'not found'}`,
+      `- Sidebar root: ${diagnostics.roots.sidebar || 'not found'}`,
+      '',
+      '### Warnings',
+      '',
+      ...(diagnostics.warnings.length ? diagnostics.warnings.map(warning => `- ${warning}`) : ['None']),
+      ''
+    ];
+
+    ['questions', 'answers', 'chats'].forEach(kind => {
+      const report = diagnostics[kind];
+      lines.push(`### ${kind.charAt(0).toUpperCase() + kind.slice(1)}`, '');
+      if (!report) {
+        lines.push('Not parsed yet.', '');
+        return;
+      }
+
+      lines.push(
+        `Strategy: ${report.strategy}. ${report.matched} matched, ${report.kept} kept; dropped: ${this.describeDropped(report.dropped)}.`,
+        '',
+        '| Selector | Matches |',
+        '| --- | --- |',
+        ...report.selectors.map(({ selector, count }) => `| \`${selector.replace(/\|/g, '\\|')}\` | ${count} |`),
+        ''
+      );
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * @method copyDiagnostics
+   * @description Copies the diagnostics report to the clipboard.
+   */
+  async copyDiagnostics() {
+    const button = this.container.querySelector('[data-action="copy-diagnostics"]');
+
+    try {
+      await navigator.clipboard.writeText(this.buildDiagnosticsReport());
+      button.textContent = 'Copied';
+      this.announce('Diagnostic report copied');
+    } catch (e) {
+      button.textContent = 'Copy failed';
+      this.announce('Could not copy the diagnostic report');
+    }
+
+    clearTimeout(this.copiedTimeout);
+    this.copiedTimeout = setTimeout(() => {
+      button.textContent = 'Copy report';
+    }, 2000);
+  }
+
+  /**
+   * @method patchList
+   * @description Brings a panel's list in line with the given entries. Entries whose key and HTML
+   * are unchanged keep their element (and its focus); others are created or removed, then
+   * everything is moved into order.
+   * @param {Element} list - The panel content element.
+   * @param {Array<{key: string, html: string}>} entries - The entries to show, in order.
+   */
+  patchList(list, entries) {
+    const previous = new Map();
+    Array.from(list.children).forEach(child => {
+      const rendered = this.rendered.get(child);
+      if (rendered) {
+        previous.set(rendered.key, child);
+      } else {
+        child.remove();
+      }
+    });
+
+    const template = document.createElement('template');
+    const elements = entries.map(({ key, html }) => {
+      const existing = previous.get(key);
+      if (existing && this.rendered.get(existing).html === html) {
+        previous.delete(key);
+        return existing;
+      }
+
+      template.innerHTML = html.trim();
+      const element = template.content.firstElementChild;
+      this.rendered.set(element, { key, html });
+      return element;
+    });
+
+    previous.forEach(element => element.remove());
+    elements.forEach((element, index) => {
+      if (list.children[index] !== element) {
+        list.insertBefore(element, list.children[index] || null);
+      }
+    });
+  }
+
+  /**
+   * @method bindListEvents
+   * @description Handles clicks on the questions, answers and chats lists. Listeners sit on the
+   * lists rather than their items, so patched-in items need no binding.
+   */
+  bindListEvents() {
+    ['questions', 'answers', 'chats', 'prompts'].forEach(type => {
+      const list = this.container.querySelector(`[data-panel="${type}"] .panel-content`);
+
+      list.addEventListener('click', (e) => {
+        this.handleItemClick(type, e);
+      });
+
+      // Middle-click only fires auxclick
+      list.addEventListener('auxclick', (e) => {
+        if (type === 'chats' && e.button === 1) {
+          this.handleItemClick(type, e);
+        }
+      });
+    });
+  }
+
+  /**
+   * @method handleItemClick
+   * @description Acts on a click in a list: tree arrows expand or collapse, star buttons toggle pins,
+   * unpin buttons delete pins, plus buttons save a question as a template and delete buttons
+   * remove templates. Otherwise questions and answers scroll to their element, chats and pins
+   * from other chats open by URL, and templates are inserted into the message box.
+   * @param {string} type - The type of panel that was clicked.
+   * @param {MouseEvent} e - The click event.
+   */
+  handleItemClick(type, e) {
+    const control = e.target.closest('.nav-tree-toggle, .nav-item-pin, .nav-item-unpin, .nav-item-template, .nav-item-delete');
+    if (control) {
+      // The control may be re-rendered before the event reaches the click-outside handler
+      e.stopPropagation();
+
+      if (control.classList.contains('nav-tree-toggle')) {
+        const nodeId = control.dataset.toggleId;
+        if (this.expandedNodes.has(nodeId)) {
+          this.expandedNodes.delete(nodeId);
+        } else {
+          this.expandedNodes.add(nodeId);
+        }
+        this.renderAnswers();
+      } else if (control.classList.contains('nav-item-pin')) {
+        this.togglePin(this.findMessage(control.dataset.pinId));
+      } else if (control.classList.contains('nav-item-template')) {
+        this.openTemplateForm(this.findMessage(control.dataset.templateSource));
+      } else if (control.classList.contains('nav-item-delete')) {
+        this.templateStore.remove(control.dataset.templateId);
+      } else {
+        this.pinStore.remove(control.dataset.pinKey);
+      }
+      return;
+    }
+
+    const item = e.target.closest('.nav-item');
+    if (!item) return;
+
+    if (type === 'prompts') {
+      this.useTemplate(this.templates.find(template => template.id === item.dataset.templateId));
+    } else if (type === 'chats') {
+      const pin = item.dataset.pinKey && this.pins.find(existing => existing.key === item.dataset.pinKey);
+      if (pin) {
+        this.openPin(pin, e);
+      } else {
+        this.openChat(item.dataset.url, e);
+      }
+    } else if (item.dataset.branchVersion) {
+      this.closeAllPanels();
+      this.switchBranch(item.dataset.elementId, Number(item.dataset.branchVersion));
+    } else if (item.dataset.elementId) {
+      // Close first so focus moves to the message rather than back to the button
+      this.closeAllPanels();
+      this.scrollToElement(item.dataset.elementId);
+    }
+  }
+
+  /**
+   * @method loadCustomSites
+   * @description Loads the custom sites and keeps them in sync with storage, then re-renders the
+   * chats panel so results from those sites show their names.
+   */
+  loadCustomSites() {
+    const setSites = sites => {
+      this.customSites = sites;
+      this.renderChats();
+    };
+
+    // Without them, chats and pins from custom sites are labelled with the site's ID
+    this.customSiteStore.getAll().then(setSites).catch(() => {});
+    this.cleanups.push(this.customSiteStore.onChange(setSites));
+  }
+
+  /**
+   * @method getPlatformName
+   * @description Looks up the display name of a built-in platform or a custom site.
+   * @param {string} id - The platform's parser name, or the custom site's ID.
+   * @returns {string} The display name, or the ID if it is unknown.
+   */
+  getPlatformName(id) {
+    const platform = SETTINGS_PLATFORMS.find(candidate => candidate.id === id) ||
+      this.customSites.find(site => site.id === id);
+    return platform ? platform.name : id;
+  }
+
+  /**
+   * @method loadTemplates
+   * @description Loads the prompt library and keeps it in sync with storage.
+   */
+  loadTemplates() {
+    const setTemplates = templates => {
+      this.templates = templates;
+      this.renderPrompts();
+    };
+
+    this.templateStore.getAll().then(setTemplates);
+    this.cleanups.push(this.templateStore.onChange(setTemplates));
+  }
+
+  /**
+   * @method renderPrompts
+   * @description Renders the prompt library in the prompts panel. Searches match titles first,
+   * then tags and text.
+   */
+  renderPrompts() {
+    const panel = this.container.querySelector('[data-panel="prompts"] .panel-content');
+    const hadFocus = panel.contains(this.root.activeElement);
+    const query = this.queries.prompts;
+    const matches = this.filterItems(this.templates, 'title', query);
+    if (query.trim()) {
+      this.templates.forEach(template => {
+        if (!matches.some(({ item }) => item === template) && this.matchText(`${template.tags.join(' ')} ${template.text}`, query)) {
+          matches.push({ item: template, ranges: [] });
+        }
+      });
+    }
+    this.updateCount('prompts', matches.length, this.templates.length);
+
+    const entries = [];
+    if (this.templates.length === 0) {
+      entries.push({ key: 'empty', html: '<div class="empty-state">No saved prompts. Save a question with its + button in the Q panel.</div>' });
+    } else if (matches.length === 0) {
+      entries.push({ key: 'empty', html: '<div class="empty-state">No matching prompts</div>' });
+    } else {
+      matches.forEach(({ item: template, ranges }) => {
+        const variables = this.templateStore.getVariables(template.text);
+        const tags = [
+          ...template.tags,
+          ...(variables.length ? [`${variables.length} variable${variables.length === 1 ? '' : 's'}`] : [])
+        ];
+
+        entries.push({
+          key: template.id,
+          html: `
+            <div class="nav-item nav-item-row" data-template-id="${this.escapeHtml(template.id)}" role="option" tabindex="-1" title="${this.escapeHtml(this.parser.truncate(template.text, 500))}">
+              <div class="nav-item-body">
+                <div class="nav-item-text">${this.highlightText(template.title, ranges)}</div>
+                ${tags.length ? `<div class="nav-item-tags">${tags.map(tag => `<span class="nav-item-tag">${this.escapeHtml(tag)}</span>`).join('')}</div>` : ''}
+              </div>
+              <button class="nav-item-delete" type="button" data-template-id="${this.escapeHtml(template.id)}" title="Delete template" aria-label="Delete template" tabindex="-1">&times;</button>
+            </div>
+          `
+        });
+      });
+    }
+
+    this.patchList(panel, entries);
+    this.updateSelection('prompts', hadFocus);
+  }
+
+  /**
+   * @method bindTemplateForm
+   * @description Handles the prompts panel form, used both to save a template and to fill in a
+   * template's variables.
+   */
+  bindTemplateForm() {
+    const form = this.container.querySelector('.panel-form');
+
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      if (form.dataset.mode === 'save') {
+        this.saveTemplate(form);
+      } else {
+        const template = this.templates.find(candidate => candidate.id === form.dataset.templateId);
+        const values = {};
+        form.querySelectorAll('[data-variable]').forEach(input => {
+          values[input.dataset.variable] = input.value;
+        });
+        if (template) {
+          this.insertPrompt(this.templateStore.fill(template.text, values));
+        }
+      }
+    });
+
+    form.addEventListener('click', (e) => {
+      if (e.target.closest('[data-action="cancel-form"]')) {
+        this.closeTemplateForm();
+        this.container.querySelector('[data-search="prompts"]').focus();
+      }
+    });
+
+    // Keep typing away from host shortcuts; Escape still closes the panel and Tab reaches the focus trap
+    form.addEventListener('keydown', (e) => {
+      if (e.key !== 'Escape' && e.key !== 'Tab') {
+        e.stopPropagation();
+      }
+    });
+  }
+
+  /**
+   * @method showTemplateForm
+   * @description Replaces the prompts list with a form and focuses its first field.
+   * @param {string} mode - 'save' to save a template, or 'fill' to fill in its variables.
+   * @param {string} html - The form's fields and buttons.
+   * @param {string} [templateId] - The template being filled in.
+   */
+  showTemplateForm(mode, html, templateId = '') {
+    const panel = this.container.querySelector('[data-panel="prompts"]');
+    const form = panel.querySelector('.panel-form');
+
+    form.dataset.mode = mode;
+    form.dataset.templateId = templateId;
+    form.innerHTML = html;
+    form.hidden = false;
+    panel.querySelector('.panel-search').hidden = true;
+    panel.querySelector('.panel-content').hidden = true;
+
+    const field = form.querySelector('input, textarea');
+    if (field) {
+      field.focus({ preventScroll: true });
+    }
+  }
+
+  /**
+   * @method closeTemplateForm
+   * @description Hides the prompts panel form and shows the list again.
+   */
+  closeTemplateForm() {
+    const panel = this.container.querySelector('[data-panel="prompts"]');
+    const form = panel.querySelector('.panel-form');
+
+    form.hidden = true;
+    form.replaceChildren();
+    panel.querySelector('.panel-search').hidden = false;
+    panel.querySelector('.panel-content').hidden = false;
+  }
+
+  /**
+   * @method openTemplateForm
+   * @description Opens the prompts panel with a question's full text ready to save as a template.
+   * @param {object} question - The question to save.
+   */
+  openTemplateForm(question) {
+    if (!question) return;
+
+    const element = this.findElement(question.id);
+    const text = (element && this.parser.getMessageText(element)) || question.fullText;
+    const title = this.parser.truncate(text.split('\n')[0].trim(), 60);
+
+    if (this.activePanel !== 'prompts') {
+      this.togglePanel('prompts');
+    }
+    this.showTemplateForm('save', `
+      <div class="panel-form-title">Save as template</div>
+      <label class="panel-form-field">Title
+        <input type="text" name="title" required value="${this.escapeHtml(title)}">
+      </label>
+      <label class="panel-form-field">Prompt
+        <textarea name="text" rows="6" required>${this.escapeHtml(text)}</textarea>
+      </label>
+      <div class="panel-form-hint">Write {{name}} for a part to fill in each time.</div>
+      <label class="panel-form-field">Tags
+        <input type="text" name="tags" placeholder="Comma-separated">
+      </label>
+      <div class="panel-form-actions">
+        <button class="panel-action" type="button" data-action="cancel-form">Cancel</button>
+        <button class="panel-action primary" type="submit">Save</button>
+      </div>
+    `);
+  }
+
+  /**
+   * @method saveTemplate
+   * @description Saves the template described by the save form and returns to the list.
+   * @param {HTMLFormElement} form - The save form.
+   */
+  saveTemplate(form) {
+    const title = form.elements.title.value.trim();
+    const text = form.elements.text.value.trim();
+    if (!title || !text) return;
+
+    this.templateStore.save({
+      id: `template-${Date.now().toString(36)}`,
+      title,
+      text,
+      tags: form.elements.tags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+      createdAt: Date.now()
+    });
+
+    this.closeTemplateForm();
+    this.container.querySelector('[data-search="prompts"]').focus();
+    this.announce(`Saved template ${title}`);
+  }
+
+  /**
+   * @method useTemplate
+   * @description Inserts a template into the message box, first asking for its variables if it has any.
+   * @param {object} template - The template to use.
+   */
+  useTemplate(template) {
+    if (!template) return;
+
+    const variables = this.templateStore.getVariables(template.text);
+    if (variables.length === 0) {
+      this.insertPrompt(template.text);
+      return;
+    }
+
+    this.showTemplateForm('fill', `
+      <div class="panel-form-title">${this.escapeHtml(template.title)}</div>
+      ${variables.map(name => `
+        <label class="panel-form-field">${this.escapeHtml(name)}
+          <input type="text" data-variable="${this.escapeHtml(name)}">
+        </label>
+      `).join('')}
+      <div class="panel-form-actions">
+        <button class="panel-action" type="button" data-action="cancel-form">Cancel</button>
+        <button class="panel-action primary" type="submit">Insert</button>
+      </div>
+    `, template.id);
+  }
+
+  /**
+   * @method insertPrompt
+   * @description Puts text into the platform's message box and moves focus there.
+   * @param {string} text - The prompt to insert.
+   */
+  insertPrompt(text) {
+    this.closeAllPanels();
+    if (!this.parser.insertText(text)) {
+      this.announce('No message box found on this page');
+    }
+  }
+
+  /**
+   * @method loadPins
+   * @description Loads saved pins, keeps them in sync with storage and picks up a jump requested
+   * from another page.
+   */
+  loadPins() {
+    this.pinStore.getAll().then(pins => this.setPins(pins));
+    this.cleanups.push(this.pinStore.onChange(pins => this.setPins(pins)));
+
+    this.pinStore.takePendingJump(this.normalizeUrl(window.location.href)).then(jump => {
+      if (jump) {
+        this.pendingJump = jump;
+        this.refresh();
+      }
+    });
+  }
+
+  /**
+   * @method setPins
+   * @description Replaces the known pins and re-renders the panels that show them.
+   * @param {Array<object>} pins - The saved pins.
+   */
+  setPins(pins) {
+    this.pins = pins;
+    this.renderQuestions();
+    this.renderAnswers();
+    this.renderChats();
+  }
+
+  /**
+   * @method getConversationPins
+   * @description Returns the pins saved for the current conversation.
+   * @returns {Array<object>} The pins.
+   */
+  getConversationPins() {
+    const conversationUrl = this.normalizeUrl(window.location.href);
+    return this.pins.filter(pin => pin.conversationUrl === conversationUrl);
+  }
+
+  /**
+   * @method findMessage
+   * @description Finds a parsed question or answer by ID.
+   * @param {string} messageId - The ID of the message.
+   * @returns {object|null} The question or answer, or null if it is not in the current conversation.
+   */
+  findMessage(messageId) {
+    return this.questions.find(question => question.id === messageId) ||
+           this.answers.find(answer => answer.id === messageId) ||
+           null;
+  }
+
+  /**
+   * @method findPin
+   * @description Finds the pin saved for a message in the current conversation.
+   * @param {object} message - The question or answer.
+   * @returns {object|undefined} The pin, if the message is pinned.
+   */
+  findPin(message) {
+    return this.getConversationPins().find(pin => pin.fingerprint === message.fingerprint);
+  }
+
+  /**
+   * @method resolvePin
+   * @description Finds the message a pin refers to by its text fingerprint.
+   * @param {object} pin - The pin to resolve.
+   * @returns {string|null} The ID of the message, or null if it is not rendered.
+   */
+  resolvePin(pin) {
+    const message = [...this.questions, ...this.answers].find(candidate => candidate.fingerprint === pin.fingerprint);
+    return message ? message.id : null;
+  }
+
+  /**
+   * @method togglePin
+   * @description Pins or unpins a question or answer of the current conversation.
+   * @param {object} message - The question or answer.
+   */
+  togglePin(message) {
+    if (!message) return;
+
+    const existing = this.findPin(message);
+    if (existing) {
+      this.pinStore.remove(existing.key);
+      return;
+    }
+
+    const conversationUrl = this.normalizeUrl(window.location.href);
+    this.pinStore.add({
+      key: `${conversationUrl}#${message.fingerprint}`,
+      platform: this.parser.config.platform,
+      conversationUrl,
+      url: window.location.href,
+      chatTitle: document.title,
+      fingerprint: message.fingerprint,
+      text: message.text,
+      role: message.type === 'answer' ? 'assistant' : 'user',
+      createdAt: Date.now()
+    });
+  }
+
+  /**
+   * @method openPin
+   * @description Opens the conversation a pin belongs to and scrolls to the pinned message once it loads.
+   * @param {object} pin - The pin to open.
+   * @param {MouseEvent} event - The click event that triggered the navigation.
+   */
+  async openPin(pin, event) {
+    await this.pinStore.setPendingJump(pin);
+
+    // In-app navigation keeps this page alive, so resolve the jump here too
+    if (!(event.ctrlKey || event.metaKey || event.button === 1)) {
+      this.pendingJump = pin;
+    }
+
+    this.openChat(pin.url, event);
+  }
+
+  /**
+   * @method resolvePendingJump
+   * @description Scrolls to the pending pin once its conversation is open and the message is rendered.
+   */
+  resolvePendingJump() {
+    const jump = this.pendingJump;
+    if (!jump || jump.conversationUrl !== this.normalizeUrl(window.location.href)) return;
+
+    const elementId = this.resolvePin(jump);
+    if (elementId) {
+      this.pendingJump = null;
+      this.pinStore.clearPendingJump();
+      this.scrollToElement(elementId);
+    }
+  }
+
+  /**
+   * @method renderPinButton
+   * @description Renders the star button that pins or unpins a message.
+   * @param {object} message - The question or answer.
+   * @returns {string} The button HTML.
+   */
+  renderPinButton(message) {
+    const pinned = !!this.findPin(message);
+    return `
+      <button class="nav-item-pin${pinned ? ' pinned' : ''}" type="button" data-pin-id="${message.id}" title="${pinned ? 'Unpin' : 'Pin'}" aria-pressed="${pinned}" tabindex="-1">
+        ${pinned ? '&#9733;' : '&#9734;'}
+      </button>
+    `;
+  }
+
+  /**
+   * @method renderPinnedItem
+   * @description Renders a pin as a panel item.
+   * @param {object} pin - The pin to render.
+   * @param {boolean} [showSource] - Whether to show the platform and chat the pin belongs to.
+   * @returns {string} The item HTML.
+   */
+  renderPinnedItem(pin, showSource = false) {
+    const elementId = showSource ? '' : (this.resolvePin(pin) || '');
+    const unresolved = !showSource && !elementId;
+
+    return `
+      <div class="nav-item nav-item-row nav-item-pinned${unresolved ? ' unresolved' : ''}" data-element-id="${elementId}" data-pin-key="${this.escapeHtml(pin.key)}" data-url="${this.escapeHtml(pin.url)}" role="option" tabindex="-1"${unresolved ? ' title="Not loaded on the page yet"' : ''}>
+        <span class="nav-item-badge" aria-label="${pin.role === 'assistant' ? 'Answer' : 'Question'}">${pin.role === 'assistant' ? 'A' : 'Q'}</span>
+        <div class="nav-item-body">
+          <div class="nav-item-text">${this.escapeHtml(pin.text)}</div>
+          ${showSource ? `<div class="nav-item-meta">${this.escapeHtml(this.getPlatformName(pin.platform))} &middot; ${this.escapeHtml(pin.chatTitle)}</div>` : ''}
+        </div>
+        <button class="nav-item-unpin" type="button" data-pin-key="${this.escapeHtml(pin.key)}" title="Unpin" aria-label="Unpin" tabindex="-1">&times;</button>
+      </div>
+    `;
+  }
+
+  /**
+   * @method bindPinAffordance
+   * @description Shows a pin button over whichever question or answer the pointer is on.
+   */
+  bindPinAffordance() {
+    const button = this.pinButton;
+    let hoveredId = null;
+
+    const hide = () => {
+      button.classList.remove('show');
+      hoveredId = null;
+    };
+
+    this.listen(document, 'mouseover', (e) => {
+      if (e.composedPath().includes(this.host)) return;
+
+      const hovered = this.findHoveredMessage(e.target);
+      if (!hovered) {
+        hide();
+        return;
+      }
+
+      const rect = hovered.element.getBoundingClientRect();
+      const pinned = !!this.findPin(hovered.message);
+      button.style.top = `${Math.max(rect.top, 0) + 8}px`;
+      button.style.left = `${rect.right - 36}px`;
+      button.innerHTML = pinned ? '&#9733;' : '&#9734;';
+      button.title = pinned ? 'Unpin message' : 'Pin message';
+      button.setAttribute('aria-label', button.title);
+      button.classList.toggle('pinned', pinned);
+      button.classList.add('show');
+      hoveredId = hovered.message.id;
+    });
+
+    // The button is positioned for the current scroll offset only
+    this.listen(window, 'scroll', hide, true);
+
+    button.addEventListener('click', () => {
+      this.togglePin(this.findMessage(hoveredId));
+      hide();
+    });
+  }
+
+  /**
+   * @method findHoveredMessage
+   * @description Finds the question or answer element that contains the given node.
+   * @param {Node} target - The hovered node.
+   * @returns {{element: Element, message: object}|null} The message element and its parsed data, or null.
+   */
+  findHoveredMessage(target) {
+    const selector = `[${NAV_ID_ATTRIBUTE}]`;
+    let element = target.closest ? target.closest(selector) : null;
+
+    // Outline nodes inside an answer are tagged too, so walk up to the message itself
+    while (element) {
+      const message = this.findMessage(element.getAttribute(NAV_ID_ATTRIBUTE));
+      if (message) {
+        return { element, message };
+      }
+      element = element.parentElement ? element.parentElement.closest(selector) : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * @method filterItems
+   * @description Filters a list of items against a search query, keeping their original order.
+   * @param {Array<object>} items - The questions or chats to filter.
+   * @param {string} field - The item property to match against ('text' or 'title').
+   * @param {string} query - The search query.
+   * @returns {Array<{item: object, ranges: Array<Array<number>>}>} The matching items with the ranges to highlight.
+   */
+  filterItems(items, field, query) {
+    const results = [];
+
+    items.forEach(item => {
+      const ranges = this.matchText(item[field] || '', query);
+      if (ranges) {
+        results.push({ item, ranges });
+      }
+    });
+
+    return results;
+  }
+
+  /**
+   * @method matchText
+   * @description Matches a query against text token by token. Each whitespace-separated token must
+   * appear as a substring or, failing that, as an in-order subsequence of characters.
+   * @param {string} text - The text to search in.
+   * @param {string} query - The search query.
+   * @returns {Array<Array<number>>|null} The matched [start, end) ranges, or null if a token does not match.
+   */
+  matchText(text, query) {
+    const tokens = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const haystack = text.toLowerCase();
+    const ranges = [];
+
+    for (const token of tokens) {
+      const index = haystack.indexOf(token);
+      if (index !== -1) {
+        ranges.push([index, index + token.length]);
+        continue;
+      }
+
+      const fuzzyRanges = this.fuzzyMatch(haystack, token);
+      if (!fuzzyRanges) {
+        return null;
+      }
+      ranges.push(...fuzzyRanges);
+    }
+
+    return ranges;
+  }
+
+  /**
+   * @method fuzzyMatch
+   * @description Finds the characters of a token in order within the text, grouping adjacent hits into ranges.
+   * @param {string} haystack - The lowercased text to search in.
+   * @param {string} token - The lowercased token to find.
+   * @returns {Array<Array<number>>|null} The matched [start, end) ranges, or null if the token is not a subsequence.
+   */
+  fuzzyMatch(haystack, token) {
+    const ranges = [];
+    let from = 0;
+
+    for (const char of token) {
+      const index = haystack.indexOf(char, from);
+      if (index === -1) {
+        return null;
+      }
+
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === index) {
+        last[1] = index + 1;
+      } else {
+        ranges.push([index, index + 1]);
+      }
+      from = index + 1;
+    }
+
+    return ranges;
+  }
+
+  /**
+   * @method highlightText
+   * @description Escapes text and wraps the matched ranges in highlight marks.
+   * @param {string} text - The text to render.
+   * @param {Array<Array<number>>} ranges - The [start, end) ranges to highlight.
+   * @returns {string} The escaped HTML with highlights.
+   */
+  highlightText(text, ranges) {
+    if (!ranges || ranges.length === 0) {
+      return this.escapeHtml(text);
+    }
+
+    // Merge overlapping ranges so marks never nest
+    const merged = [];
+    ranges.slice().sort((a, b) => a[0] - b[0]).forEach(([start, end]) => {
+      const last = merged[merged.length - 1];
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        merged.push([start, end]);
+      }
+    });
+
+    let html = '';
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+      html += this.escapeHtml(text.slice(cursor, start));
+      html += `<mark class="nav-highlight">${this.escapeHtml(text.slice(start, end))}</mark>`;
+      cursor = end;
+    });
+    html += this.escapeHtml(text.slice(cursor));
+
+    return html;
+  }
+
+  /**
+   * @method updateCount
+   * @description Updates the result count shown in a panel header.
+   * @param {string} type - The type of panel ('questions', 'answers' or 'chats').
+   * @param {number} shown - The number of items matching the current query.
+   * @param {number} total - The total number of items.
+   */
+  updateCount(type, shown, total) {
+    const count = this.container.querySelector(`[data-panel="${type}"] .panel-count`);
+    count.textContent = this.queries[type].trim() ? `${shown} / ${total}` : `${total}`;
+
+    const previous = this.counts[type];
+    this.counts[type] = { shown, total };
+    // Only the open panel is announced, and only when its count changed
+    if (this.activePanel === type && (previous.shown !== shown || previous.total !== total)) {
+      this.announce(this.describeCount(type));
+    }
+  }
+
+  /**
+   * @method handleSearchKeydown
+   * @description Moves the selection with Up/Down and activates the selected item with Enter.
+   * @param {string} type - The type of panel the search input belongs to.
+   * @param {KeyboardEvent} e - The keydown event.
+   */
+  handleSearchKeydown(type, e) {
+    // Let Escape reach the document handler and Tab the focus trap; keep everything else away from host shortcuts
+    if (e.key === 'Escape' || e.key === 'Tab') return;
+    e.stopPropagation();
+
+    const items = this.container.querySelectorAll(`[data-panel="${type}"] .nav-item`);
+    if (items.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      this.selectedIndex[type] = Math.min(this.selectedIndex[type] + 1, items.length - 1);
+      this.updateSelection(type);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      this.selectedIndex[type] = Math.max(this.selectedIndex[type] - 1, 0);
+      this.updateSelection(type);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      items[Math.max(this.selectedIndex[type], 0)].click();
+    }
+  }
+
+  /**
+   * @method updateSelection
+   * @description Marks the keyboard-selected item in a panel and keeps it scrolled into view. The
+   * selected item, or the first one, is the panel's single Tab stop.
+   * @param {string} type - The type of panel ('questions', 'answers', 'chats', 'export' or 'prompts').
+   * @param {boolean} [focus=false] - Whether to move focus to the selected item.
+   */
+  updateSelection(type, focus = false) {
+    const items = this.container.querySelectorAll(`[data-panel="${type}"] .nav-item`);
+    if (this.selectedIndex[type] >= items.length) {
+      this.selectedIndex[type] = items.length - 1;
+    }
+
+    items.forEach((item, index) => {
+      const isSelected = index === this.selectedIndex[type];
+      const isTabStop = index === Math.max(this.selectedIndex[type], 0);
+      item.id = `chat-nav-${type}-item-${index}`;
+      item.classList.toggle('selected', isSelected);
+      if (item.getAttribute('role') !== 'menuitem') {
+        item.setAttribute('aria-selected', isSelected);
+      }
+      item.tabIndex = isTabStop ? 0 : -1;
+      // Pin buttons are reachable with Tab on the current item only
+      item.querySelectorAll('button').forEach(button => {
+        button.tabIndex = isTabStop ? 0 : -1;
+      });
+    });
+
+    const selected = items[this.selectedIndex[type]];
+    // Screen readers follow the selection while focus stays in the search box
+    const search = this.container.querySelector(`[data-search="${type}"]`);
+    if (search) {
+      if (selected) {
+        search.setAttribute('aria-activedescendant', selected.id);
+      } else {
+        search.removeAttribute('aria-activedescendant');
+      }
+    }
+
+    if (selected) {
+      selected.scrollIntoView({ block: 'nearest' });
+      if (focus) {
+        selected.focus({ preventScroll: true });
+      }
+    }
+  }
+
+  /**
+   * @method handleListKeydown
+   * @description Moves focus through a panel's items: Up/Down step, Home/End jump to the ends,
+   * Enter or Space activates and printable keys jump to the next item starting with the typed text.
+   * In the answers tree, Right expands and Left collapses the focused branch.
+   * @param {string} type - The type of panel the items belong to.
+   * @param {KeyboardEvent} e - The keydown event.
+   */
+  handleListKeydown(type, e) {
+    // Let Escape reach the document handler and Tab the focus trap; keep everything else away from host shortcuts
+    if (e.key === 'Escape' || e.key === 'Tab') return;
+    e.stopPropagation();
+
+    const items = Array.from(this.container.querySelectorAll(`[data-panel="${type}"] .nav-item`));
+    const current = e.target.closest('.nav-item');
+    const index = items.indexOf(current);
+    if (items.length === 0 || e.ctrlKey || e.metaKey || e.altKey) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      this.focusItem(type, Math.min(index + 1, items.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      const search = this.container.querySelector(`[data-search="${type}"]`);
+      if (index <= 0 && search) {
+        search.focus();
+      } else {
+        this.focusItem(type, Math.max(index - 1, 0));
+      }
+    } else if (e.key === 'Home') {
+      e.preventDefault();
+      this.focusItem(type, 0);
+    } else if (e.key === 'End') {
+      e.preventDefault();
+      this.focusItem(type, items.length - 1);
+    } else if ((e.key === 'ArrowRight' || e.key === 'ArrowLeft') && current) {
+      const toggle = current.querySelector('.nav-tree-toggle');
+      const expanded = !!toggle && toggle.classList.contains('expanded');
+      if (toggle && expanded === (e.key === 'ArrowLeft')) {
+        e.preventDefault();
+        toggle.click();
+      }
+    } else if ((e.key === 'Enter' || e.key === ' ') && e.target === current) {
+      // Buttons inside an item (pin, unpin) handle their own activation
+      e.preventDefault();
+      current.click();
+    } else if (e.key.length === 1 && e.key !== ' ') {
+      this.typeAhead(type, e.key, index);
+    }
+  }
+
+  /**
+   * @method focusItem
+   * @description Selects and focuses an item in a panel.
+   * @param {string} type - The type of panel the item belongs to.
+   * @param {number} index - The index of the item among the panel's items.
+   */
+  focusItem(type, index) {
+    this.selectedIndex[type] = index;
+    this.updateSelection(type, true);
+  }
+
+  /**
+   * @method typeAhead
+   * @description Focuses the next item whose text starts with the keys typed in quick succession.
+   * Repeating a single letter cycles through the items starting with it.
+   * @param {string} type - The type of panel to search.
+   * @param {string} key - The key just typed.
+   * @param {number} index - The index of the focused item, or -1.
+   */
+  typeAhead(type, key, index) {
+    clearTimeout(this.typeAheadTimeout);
+    this.typeAheadBuffer += key.toLowerCase();
+    this.typeAheadTimeout = setTimeout(() => {
+      this.typeAheadBuffer = '';
+    }, 500);
+
+    const buffer = this.typeAheadBuffer;
+    const repeated = buffer.split('').every(char => char === buffer[0]);
+    const prefix = repeated ? buffer[0] : buffer;
+    // A new prefix may still match the focused item; a single letter moves on from it
+    const start = prefix.length === 1 ? index + 1 : Math.max(index, 0);
+
+    const items = this.container.querySelectorAll(`[data-panel="${type}"] .nav-item`);
+    for (let offset = 0; offset < items.length; offset++) {
+      const candidate = (start + offset) % items.length;
+      const text = items[candidate].querySelector('.nav-item-text').textContent.trim().toLowerCase();
+      if (text.startsWith(prefix)) {
+        this.focusItem(type, candidate);
+        return;
+      }
+    }
+  }
+
+  /**
+   * @method handleCommand
+   * @description Runs a keyboard shortcut relayed from the background service worker.
+   * @param {string} command - The command name from the manifest's `commands`.
+   */
+  handleCommand(command) {
+    if (!this.enabled) return;
+
+    if (command === 'open-questions') {
+      this.togglePanel('questions');
+    } else if (command === 'open-chats') {
+      this.togglePanel('chats');
+    } else if (command === 'next-question') {
+      this.refresh();
+      this.jumpToQuestion(1);
+    } else if (command === 'previous-question') {
+      this.refresh();
+      this.jumpToQuestion(-1);
+    } else if (command === 'toggle-diagnostics') {
+      this.togglePanel('diagnostics');
+    }
+  }
+
+  /**
+   * @method getState
+   * @description Describes the navigator on this page for the toolbar popup, bringing the lists up to date first.
+   * @returns {object} The platform, parser, custom site name, enablement, conversation title and URL, position, questions and chats.
+   */
+  getState() {
+    this.refresh();
+
+    return {
+      platform: this.parser.config.platform,
+      parser: this.parser.constructor.name,
+      siteName: this.parser.customSite ? this.parser.customSite.name : null,
+      enabled: this.enabled,
+      title: this.parser.getCurrentChatTitle() || document.title,
+      url: this.normalizeUrl(window.location.href),
+      position: this.tracker.getPosition(),
+      questions: this.questions.map(({ id, text }) => ({ id, text })),
+      chats: this.chats.map(({ title, url }) => ({ title, url, current: this.isCurrentChat(url) })),
+      warnings: this.warnings
+    };
+  }
+
+  /**
+   * @method jumpToQuestion
+   * @description Scrolls to the question after or before the middle of the viewport, without opening a panel.
+   * @param {number} direction - 1 for the next question, -1 for the previous one.
+   */
+  jumpToQuestion(direction) {
+    const middle = window.innerHeight / 2;
+    // Jumped-to questions are centered, so compare their centers with a little slack
+    const centers = this.questions
+      .map(question => ({ id: question.id, element: this.findElement(question.id) }))
+      .filter(({ element }) => element)
+      .map(({ id, element }) => {
+        const rect = element.getBoundingClientRect();
+        return { id, center: rect.top + rect.height / 2 };
+      });
+
+    const target = direction > 0
+      ? centers.find(({ center }) => center > middle + 2)
+      : centers.reverse().find(({ center }) => center < middle - 2);
+
+    if (target) {
+      this.scrollToElement(target.id);
+    }
+  }
+
+  /**
+   * @method openChat
+   * @description Opens a chat by URL. Modified clicks open a new tab; plain clicks route through
+   * the platform's own sidebar link when present so its SPA router handles the navigation.
+   * @param {string} url - The URL of the chat to open.
+   * @param {MouseEvent} event - The click event that triggered the navigation.
+   */
+  openChat(url, event) {
+    if (!url) return;
+
+    if (event.ctrlKey || event.metaKey || event.button === 1) {
+      event.preventDefault();
+      window.open(url, '_blank', 'noopener');
+      return;
+    }
+
+    this.closeAllPanels();
+    if (this.isCurrentChat(url)) return;
+
+    const anchor = this.findChatAnchor(url);
+    if (anchor) {
+      anchor.click();
+    } else {
+      window.location.assign(url);
+    }
+  }
+
+  /**
+   * @method findChatAnchor
+   * @description Finds a link on the page (outside the navigator) pointing at the given chat URL.
+   * @param {string} url - The chat URL to look for.
+   * @returns {HTMLAnchorElement|null} The matching anchor, or null if none is rendered.
+   */
+  findChatAnchor(url) {
+    const target = this.normalizeUrl(url);
+    const anchors = document.querySelectorAll('a[href]');
+
+    for (const anchor of anchors) {
+      if (this.normalizeUrl(anchor.href) === target) {
+        return anchor;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @method isCurrentChat
+   * @description Checks whether a chat URL points at the conversation currently open.
+   * @param {string} url - The chat URL to check.
+   * @returns {boolean} True if the URL matches the current location.
+   */
+  isCurrentChat(url) {
+    return !!url && this.normalizeUrl(url) === this.normalizeUrl(window.location.href);
+  }
+
+  /**
+   * @method normalizeUrl
+   * @description Reduces a URL to origin and path so query strings, hashes and trailing slashes don't affect comparisons.
+   * @param {string} url - The URL to normalize.
+   * @returns {string} The normalized URL, or an empty string if it cannot be parsed.
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return parsed.origin + parsed.pathname.replace(/\/+$/, '');
+    } catch (e) {
+      return '';
+    }
+  }
+
+  /**
+   * @method findElement
+   * @description Finds a page element by the navigator ID the parser tagged it with. Only the tag
+   * is looked up: a generated ID can equal an unrelated `id` or `data-id` on the page.
+   * @param {string} elementId - The ID of the element to find.
+   * @returns {Element|null} The element, or null if it is not in the DOM or not tagged yet.
+   */
+  findElement(elementId) {
+    return document.querySelector(`[${NAV_ID_ATTRIBUTE}="${CSS.escape(elementId)}"]`);
+  }
+
+  /**
+   * @method scrollToElement
+   * @description Scrolls the page to the specified element, then focuses and highlights it. If the
+   * element is not tagged, the page is parsed again first.
+   * @param {string} elementId - The ID of the element to scroll to.
+   */
+  scrollToElement(elementId) {
+    let element = this.findElement(elementId);
+    if (!element) {
+      // The platform may have re-rendered the message since the last parse, dropping its tag
+      this.updateContent();
+      element = this.findElement(elementId);
+    }
+    if (element) {
+      element.scrollIntoView({ 
+        behavior: 'smooth', 
+        block: 'center' 
+      });
+      
+      // Move focus to the message so screen readers and keyboard users land on it too
+      if (!element.hasAttribute('tabindex')) {
+        element.setAttribute('tabindex', '-1');
+        element.addEventListener('blur', () => element.removeAttribute('tabindex'), { once: true });
+      }
+      element.focus({ preventScroll: true });
+
+      // Add highlight effect. The message is outside the shadow root, so the navigator's styles don't reach it
+      element.style.transition = 'background-color 0.3s ease';
+      element.style.backgroundColor = 'rgba(59, 130, 246, 0.1)';
+      element.style.outline = '2px solid rgba(59, 130, 246, 0.9)';
+      element.style.outlineOffset = '4px';
+      setTimeout(() => {
+        element.style.backgroundColor = '';
+        element.style.outline = '';
+        element.style.outlineOffset = '';
+      }, 2000);
+    }
+  }
+
+  /**
+   * @method trackQuestions
+   * @description Follows the reader's position among the questions just parsed and redraws the minimap.
+   */
+  trackQuestions() {
+    this.tracker.track(this.questions
+      .map(question => ({ id: question.id, text: question.text, element: this.findElement(question.id) }))
+      .filter(({ element }) => element));
+    this.renderMinimap();
+    this.updatePosition(false);
+  }
+
+  /**
+   * @method updatePosition
+   * @description Shows the current question's position ("12 / 48") on the Q button and marks it
+   * in the questions panel and the minimap.
+   * @param {boolean} scroll - Whether to scroll the open questions panel to the current question.
+   */
+  updatePosition(scroll) {
+    const { index, total } = this.tracker.getPosition();
+    const button = this.container.querySelector('[data-type="questions"]');
+    const progress = button.querySelector('.chat-nav-progress');
+
+    progress.hidden = total === 0;
+    progress.textContent = index >= 0 ? `${index + 1} / ${total}` : `${total}`;
+    button.setAttribute('aria-label', index >= 0 ? `Questions, ${index + 1} of ${total}` : 'Questions');
+
+    this.markCurrentQuestion(scroll);
+    this.layoutMinimap();
+  }
+
+  /**
+   * @method markCurrentQuestion
+   * @description Highlights the current question in the questions panel.
+   * @param {boolean} scroll - Whether to scroll the panel to it while it is open.
+   */
+  markCurrentQuestion(scroll) {
+    const list = this.container.querySelector('[data-panel="questions"] .panel-content');
+    let current = null;
+
+    list.querySelectorAll('.nav-item').forEach(item => {
+      // Pinned copies stay unmarked so the highlight points at the question's place in the thread
+      const isCurrent = !item.dataset.pinKey && item.dataset.elementId === this.tracker.currentId;
+      item.classList.toggle('current', isCurrent);
+      if (isCurrent) {
+        item.setAttribute('aria-current', 'location');
+        current = item;
+      } else {
+        item.removeAttribute('aria-current');
+      }
+    });
+
+    // Don't pull the list away from someone moving through it with the keyboard
+    if (scroll && current && this.activePanel === 'questions' && !list.contains(this.root.activeElement)) {
+      current.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * @method renderMinimap
+   * @description Draws a tick per question on the minimap rail, if it is enabled in the settings.
+   */
+  renderMinimap() {
+    const questions = this.tracker.questions;
+    this.minimap.hidden = !(this.enabled && this.settings && this.settings.showMinimap && questions.length);
+    if (this.minimap.hidden) return;
+
+    // Question text is page content, so it goes into the attributes as values rather than markup
+    this.minimap.replaceChildren(...questions.map(({ id, text }, index) => {
+      const tick = document.createElement('button');
+      tick.className = 'chat-nav-minimap-tick';
+      tick.type = 'button';
+      tick.dataset.elementId = id;
+      tick.title = text;
+      tick.setAttribute('aria-label', `Question ${index + 1}: ${text}`);
+      return tick;
+    }));
+    this.layoutMinimap();
+  }
+
+  /**
+   * @method layoutMinimap
+   * @description Places each minimap tick at its question's position in the scrolling conversation,
+   * and marks the current question's tick.
+   */
+  layoutMinimap() {
+    if (this.minimap.hidden) return;
+
+    const questions = this.tracker.questions;
+    const ticks = this.minimap.querySelectorAll('.chat-nav-minimap-tick');
+    // The questions can change just before the ticks are redrawn for them
+    if (questions.length === 0 || ticks.length !== questions.length) return;
+
+    const scroller = this.getScrollContainer(questions[0].element);
+    const scrollerTop = scroller === document.scrollingElement ? 0 : scroller.getBoundingClientRect().top;
+
+    questions.forEach(({ id, element }, index) => {
+      const offset = element.getBoundingClientRect().top - scrollerTop + scroller.scrollTop;
+      const tick = ticks[index];
+      tick.style.top = `${Math.min(100, Math.max(0, offset / scroller.scrollHeight * 100))}%`;
+      tick.classList.toggle('current', id === this.tracker.currentId);
+    });
+  }
+
+  /**
+   * @method getScrollContainer
+   * @description Finds the element that scrolls the conversation. Most platforms scroll an inner
+   * container rather than the page.
+   * @param {Element} element - An element inside the conversation.
+   * @returns {Element} The nearest scrollable ancestor, or the document's scrolling element.
+   */
+  getScrollContainer(element) {
+    for (let node = element.parentElement; node && node !== document.body; node = node.parentElement) {
+      const { overflowY } = window.getComputedStyle(node);
+      if ((overflowY === 'auto' || overflowY === 'scroll') && node.scrollHeight > node.clientHeight) {
+        return node;
+      }
+    }
+    return document.scrollingElement || document.documentElement;
+  }
+
+  /**
+   * @method startObserver
+   * @description Starts a MutationObserver on the conversation and sidebar roots the parser reports.
+   * Changes are collected while the panels are closed or the tab is hidden, and applied once
+   * they are needed again.
+   */
+  startObserver() {
+    this.observer = new MutationObserver((mutations) => {
+      this.collectChanges(mutations).forEach(kind => this.changed.add(kind));
+      this.scheduleUpdate();
+    });
+    this.observeRoots();
+
+    // The platform may swap its roots out when it re-renders; check now and then
+    const rootCheck = setInterval(() => {
+      if (!document.hidden) {
+        this.observeRoots();
+      }
+    }, 2000);
+    this.cleanups.push(() => clearInterval(rootCheck));
+
+    this.listen(document, 'visibilitychange', () => this.scheduleUpdate());
+  }
+
+  /**
+   * @method observeRoots
+   * @description Points the observer at the parser's current roots, if they changed. Without a
+   * conversation root the whole page is watched.
+   */
+  observeRoots() {
+    const roots = this.parser.getRoots();
+    const targets = roots.conversation ? [roots.conversation, roots.sidebar].filter(Boolean) : [document.body];
+
+    if (this.roots && this.roots.conversation === roots.conversation && this.roots.sidebar === roots.sidebar) return;
+
+    this.roots = roots;
+    this.observer.disconnect();
+    targets.forEach(target => {
+      this.observer.observe(target, {
+        childList: true,
+        subtree: true
+      });
+    });
+
+    // Anything may have changed in the new roots
+    ['questions', 'answers', 'chats'].forEach(kind => this.changed.add(kind));
+    this.scheduleUpdate();
+  }
+
+  /**
+   * @method collectChanges
+   * @description Works out which lists a batch of mutations can affect. Text-only changes, such as
+   * streamed tokens, add or remove no entries and are ignored; element changes inside an answer
+   * can only change the answers outline.
+   * @param {Array<MutationRecord>} mutations - The mutations to inspect.
+   * @returns {Set<string>} The affected lists ('questions', 'answers' and/or 'chats').
+   */
+  collectChanges(mutations) {
+    const changed = new Set();
+    const { conversation, sidebar } = this.roots;
+    const answerSelector = this.parser.config.assistantMessageSelectors.join(', ');
+
+    mutations.forEach(record => {
+      // Changes inside the shadow root aren't observed, but adding the host to the page is
+      const elements = [...record.addedNodes, ...record.removedNodes]
+        .filter(node => node.nodeType === Node.ELEMENT_NODE && node !== this.host);
+      if (elements.length === 0) return;
+
+      if (sidebar && sidebar.contains(record.target)) {
+        changed.add('chats');
+      }
+
+      if (!conversation || conversation.contains(record.target)) {
+        if (answerSelector && record.target.closest && record.target.closest(answerSelector)) {
+          changed.add('answers');
+        } else {
+          changed.add('questions');
+          changed.add('answers');
+          if (!conversation) {
+            changed.add('chats');
+          }
+        }
+      }
+    });
+
+    return changed;
+  }
+
+  /**
+   * @method scheduleUpdate
+   * @description Debounces a refresh of whatever has changed. Nothing updates while the tab is
+   * hidden; while the panels are paused, only the questions do, for the position counter.
+   */
+  scheduleUpdate() {
+    clearTimeout(this.updateTimeout);
+    if (document.hidden) return;
+
+    const kinds = this.isPaused() ? ['questions'] : ['questions', 'answers', 'chats'];
+    if (!kinds.some(kind => this.changed.has(kind))) return;
+
+    this.updateTimeout = setTimeout(() => {
+      this.refresh(kinds);
+    }, 500);
+  }
+
+  /**
+   * @method isPaused
+   * @description Panel updates wait while every panel is closed and no pin jump is pending.
+   * @returns {boolean} True if panel updates should wait.
+   */
+  isPaused() {
+    return !this.activePanel && !this.pendingJump;
   }
 
   /**
    * @method escapeHtml
-   * @description Escapes HTML special characters in a string.
+   * @description Escapes HTML special characters in a string, quotes included, so the result is
+   * safe both as element text and inside a quoted attribute.
    * @param {string} text - The string to escape.
    * @returns {string} The escaped string.
    */
   escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
   }
 }
 
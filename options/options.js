@@ -0,0 +1,337 @@
+/**
+ * @file Options page for Chat Navigator. Every change is saved to `chrome.storage.sync` as soon
+ * as it is made; open tabs pick it up through `storage.onChanged`.
+ */
+
+const settingsStore = new SettingsStore();
+const chatIndex = new ChatIndex();
+const customSiteStore = new CustomSiteStore();
+const form = document.querySelector('.options');
+const siteForm = form.querySelector('.site-form');
+let customSites = [];
+
+/**
+ * @function renderPlatforms
+ * @description Adds a checkbox for each supported platform and each custom site, which is
+ * enabled and disabled by its ID the same way.
+ * @param {Array<object>} [sites] - The custom sites.
+ */
+function renderPlatforms(sites = []) {
+  const container = form.querySelector('.platforms');
+  container.innerHTML = [...SETTINGS_PLATFORMS, ...sites].map(platform => `
+    <label>
+      <input type="checkbox" data-platform="${escapeHtml(platform.id)}">
+      ${escapeHtml(platform.name)}
+    </label>
+  `).join('');
+}
+
+/**
+ * @function formatValue
+ * @description Formats a range value for display next to its label.
+ * @param {HTMLInputElement} input - The range input.
+ * @returns {string} The formatted value.
+ */
+function formatValue(input) {
+  if (input.name === 'opacity') {
+    return `${Math.round(input.value * 100)}%`;
+  }
+  return `${input.value}${input.dataset.unit}`;
+}
+
+/**
+ * @function fillForm
+ * @description Shows the given settings in the form.
+ * @param {object} settings - The settings to show.
+ */
+function fillForm(settings) {
+  form.querySelectorAll('select[name], input[type="range"][name]').forEach(input => {
+    input.value = settings[input.name];
+  });
+
+  form.querySelectorAll('input[type="checkbox"][name]').forEach(checkbox => {
+    checkbox.checked = settings[checkbox.name];
+  });
+
+  form.querySelectorAll('output[data-for]').forEach(output => {
+    output.textContent = formatValue(form.querySelector(`[name="${output.dataset.for}"]`));
+  });
+
+  fillPlatforms(settings);
+}
+
+/**
+ * @function fillPlatforms
+ * @description Shows which platforms and custom sites the navigator is enabled on.
+ * @param {object} settings - The settings to show.
+ */
+function fillPlatforms(settings) {
+  form.querySelectorAll('[data-platform]').forEach(checkbox => {
+    checkbox.checked = settings.enabledPlatforms[checkbox.dataset.platform] !== false;
+  });
+}
+
+/**
+ * @function readForm
+ * @description Reads the settings currently shown in the form.
+ * @returns {object} The settings.
+ */
+function readForm() {
+  const settings = { enabledPlatforms: {} };
+
+  form.querySelectorAll('select[name]').forEach(select => {
+    settings[select.name] = select.value;
+  });
+
+  form.querySelectorAll('input[type="range"][name]').forEach(input => {
+    settings[input.name] = Number(input.value);
+  });
+
+  form.querySelectorAll('input[type="checkbox"][name]').forEach(checkbox => {
+    settings[checkbox.name] = checkbox.checked;
+  });
+
+  form.querySelectorAll('[data-platform]').forEach(checkbox => {
+    settings.enabledPlatforms[checkbox.dataset.platform] = checkbox.checked;
+  });
+
+  return settings;
+}
+
+/**
+ * @function showHistoryCount
+ * @description Shows how many chats the chat index holds.
+ */
+async function showHistoryCount() {
+  const count = await chatIndex.count();
+  form.querySelector('.history-count').textContent =
+    count === 1 ? '1 chat indexed.' : `${count} chats indexed.`;
+}
+
+/**
+ * @function renderSites
+ * @description Lists the custom sites with whether the user has allowed the extension on them, and
+ * adds them to the platform checkboxes.
+ * @param {Array<object>} sites - The custom sites.
+ */
+async function renderSites(sites) {
+  customSites = sites;
+  renderPlatforms(sites);
+  settingsStore.get().then(fillPlatforms);
+
+  const list = form.querySelector('.site-list');
+  const allowed = await Promise.all(sites.map(site => chrome.permissions.contains({ origins: [site.matches] })));
+
+  list.innerHTML = sites.map((site, index) => `
+    <li data-site-id="${escapeHtml(site.id)}">
+      <div class="site-summary">
+        <strong>${escapeHtml(site.name)}</strong>
+        <code>${escapeHtml(site.matches)}</code>
+        ${allowed[index] ? '' : '<span class="site-status">Needs access</span>'}
+      </div>
+      ${allowed[index] ? '' : '<button type="button" data-site-action="allow">Allow</button>'}
+      <button type="button" data-site-action="edit">Edit</button>
+      <button type="button" data-site-action="remove">Remove</button>
+    </li>
+  `).join('');
+}
+
+/**
+ * @function escapeHtml
+ * @description Escapes text for use in HTML.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text;
+  return div.innerHTML.replace(/"/g, '&quot;');
+}
+
+/**
+ * @function readSite
+ * @description Reads the site being edited from the site form. New sites get an ID from their name.
+ * @returns {object} The site.
+ */
+function readSite() {
+  const site = {};
+  ['id', 'name', 'matches', 'userMessageSelector', 'textSelector', 'chatSelector', 'chatIdPattern'].forEach(name => {
+    site[name] = siteForm.elements[name].value.trim();
+  });
+
+  if (!site.id) {
+    const base = `custom-${site.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'site'}`;
+    site.id = base;
+    for (let n = 2; customSites.some(existing => existing.id === site.id); n++) {
+      site.id = `${base}-${n}`;
+    }
+  }
+
+  return site;
+}
+
+/**
+ * @function fillSite
+ * @description Shows a site in the site form, or clears the form.
+ * @param {object} [site] - The site to edit.
+ */
+function fillSite(site = {}) {
+  ['id', 'name', 'matches', 'userMessageSelector', 'textSelector', 'chatSelector', 'chatIdPattern'].forEach(name => {
+    siteForm.elements[name].value = site[name] || '';
+  });
+  showSiteMessage('');
+}
+
+/**
+ * @function showSiteMessage
+ * @description Shows a note or error below the site form.
+ * @param {string} message - The message, or an empty string to clear it.
+ * @param {boolean} [isError] - Whether the message is an error.
+ */
+function showSiteMessage(message, isError = false) {
+  const element = siteForm.querySelector('.site-message');
+  element.textContent = message;
+  element.classList.toggle('error', isError);
+}
+
+/**
+ * @function startPicker
+ * @description Lets the user build a selector by clicking an element in an open tab of the site.
+ * @param {string} field - The site form field to fill.
+ */
+async function startPicker(field) {
+  const pattern = siteForm.elements.matches.value.trim();
+  if (!MATCH_PATTERN.test(pattern)) {
+    showSiteMessage('Enter the match pattern first, e.g. https://chat.example.com/*', true);
+    return;
+  }
+
+  // Ask for access while the click still counts as a user gesture
+  if (!(await chrome.permissions.request({ origins: [pattern] }))) {
+    showSiteMessage('The picker needs access to the site.', true);
+    return;
+  }
+
+  const [tab] = await chrome.tabs.query({ url: pattern });
+  if (!tab) {
+    showSiteMessage('Open a page of the site in another tab, then click Pick again.', true);
+    return;
+  }
+
+  await chrome.scripting.executeScript({ target: { tabId: tab.id }, files: ['content-scripts/element-picker.js'] });
+  await chrome.scripting.executeScript({
+    target: { tabId: tab.id },
+    func: pickedField => window.chatNavigatorPicker.start(pickedField),
+    args: [field]
+  });
+
+  chrome.tabs.update(tab.id, { active: true });
+  chrome.windows.update(tab.windowId, { focused: true });
+  showSiteMessage('Click the element in the other tab.');
+}
+
+/**
+ * @function handlePicked
+ * @description Fills in the selector the picker built and returns to the options tab.
+ * @param {{field: string, selector: string|null, count: number, chatIdPattern?: string}} result - The picker's result.
+ */
+async function handlePicked(result) {
+  const current = await chrome.tabs.getCurrent();
+  chrome.tabs.update(current.id, { active: true });
+  chrome.windows.update(current.windowId, { focused: true });
+
+  if (!result.selector) {
+    showSiteMessage('Picking cancelled.');
+    return;
+  }
+
+  siteForm.elements[result.field].value = result.selector;
+  if (result.chatIdPattern && !siteForm.elements.chatIdPattern.value.trim()) {
+    siteForm.elements.chatIdPattern.value = result.chatIdPattern;
+  }
+  showSiteMessage(`${result.selector} matches ${result.count} element${result.count === 1 ? '' : 's'} on the page.`);
+}
+
+renderPlatforms();
+settingsStore.get().then(fillForm);
+showHistoryCount();
+customSiteStore.getAll().then(renderSites);
+customSiteStore.onChange(renderSites);
+chrome.permissions.onAdded.addListener(() => renderSites(customSites));
+chrome.permissions.onRemoved.addListener(() => renderSites(customSites));
+
+form.addEventListener('input', (e) => {
+  if (e.target.matches('input[type="range"]')) {
+    form.querySelector(`output[data-for="${e.target.name}"]`).textContent = formatValue(e.target);
+  }
+});
+
+form.addEventListener('change', (e) => {
+  // Custom sites are saved with their own button
+  if (e.target.closest('.custom-sites')) return;
+  settingsStore.set(readForm());
+});
+
+siteForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const site = readSite();
+  const error = customSiteStore.validate(site);
+  if (error) {
+    showSiteMessage(error, true);
+    return;
+  }
+
+  // Ask for access while the click still counts as a user gesture; the site is saved either way
+  const allowed = await chrome.permissions.request({ origins: [site.matches] }).catch(() => false);
+  await customSiteStore.save(site);
+  fillSite();
+  showSiteMessage(allowed ? `Saved ${site.name}.` : `Saved ${site.name}. Click Allow to let it run there.`);
+});
+
+siteForm.querySelector('.site-cancel').addEventListener('click', () => {
+  fillSite();
+});
+
+siteForm.addEventListener('click', (e) => {
+  const button = e.target.closest('[data-pick]');
+  if (button) {
+    startPicker(button.dataset.pick).catch(error => showSiteMessage(error.message, true));
+  }
+});
+
+form.querySelector('.site-list').addEventListener('click', async (e) => {
+  const button = e.target.closest('[data-site-action]');
+  if (!button) return;
+
+  const site = customSites.find(existing => existing.id === button.closest('[data-site-id]').dataset.siteId);
+  const action = button.dataset.siteAction;
+
+  if (action === 'allow') {
+    await chrome.permissions.request({ origins: [site.matches] });
+  } else if (action === 'edit') {
+    fillSite(site);
+    siteForm.elements.name.focus();
+  } else if (action === 'remove') {
+    await customSiteStore.remove(site.id);
+    // Built-in platforms' hosts can't be given up, so this only succeeds for optional ones
+    if (!customSites.some(other => other.id !== site.id && other.matches === site.matches)) {
+      chrome.permissions.remove({ origins: [site.matches] }).catch(() => {});
+    }
+  }
+});
+
+chrome.runtime.onMessage.addListener((message) => {
+  if (message && message.type === 'chatNavigatorPicked') {
+    handlePicked(message);
+  }
+});
+
+form.querySelector('.reset').addEventListener('click', () => {
+  settingsStore.clearPositions();
+  settingsStore.reset().then(fillForm);
+});
+
+form.querySelector('.clear-history').addEventListener('click', async () => {
+  await chatIndex.clear();
+  showHistoryCount();
+});
@@ -0,0 +1,255 @@
+/**
+ * @file Toolbar popup for Chat Navigator. It asks the navigator in the active tab for its
+ * questions and chats over `chrome.tabs.sendMessage`, and lists recent chats from the chat index.
+ * On pages where no navigator is running it explains why.
+ */
+
+const chatIndex = new ChatIndex();
+const popup = document.querySelector('.popup');
+
+/**
+ * @function getActiveTab
+ * @description Finds the tab the popup was opened over.
+ * @returns {Promise<chrome.tabs.Tab|undefined>} The active tab.
+ */
+async function getActiveTab() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  return tab;
+}
+
+/**
+ * @function getState
+ * @description Asks the navigator in a tab to describe itself.
+ * @param {number} tabId - The tab to ask.
+ * @returns {Promise<object|null>} The navigator state, or null if no navigator answered.
+ */
+async function getState(tabId) {
+  try {
+    return (await chrome.tabs.sendMessage(tabId, { type: 'chatNavigatorGetState' })) || null;
+  } catch (e) {
+    // No content script in this tab
+    return null;
+  }
+}
+
+/**
+ * @function findPlatform
+ * @description Finds the platform whose parser the manifest injects into a URL.
+ * @param {string} url - The page URL.
+ * @returns {{id: string, name: string}|null} The platform, or null if the site is not supported.
+ */
+function findPlatform(url) {
+  for (const entry of chrome.runtime.getManifest().content_scripts) {
+    // The History API hook runs everywhere the navigator does and names no parser
+    if (entry.world === 'MAIN' || !entry.matches.some(pattern => matchesUrlPattern(pattern, url))) continue;
+
+    const platform = SETTINGS_PLATFORMS.find(candidate => entry.js.includes(`content-scripts/${candidate.id}.js`));
+    if (platform) return platform;
+  }
+  return null;
+}
+
+/**
+ * @function getPlatformName
+ * @description Looks up the display name of a built-in platform or a custom site.
+ * @param {string} id - The platform's parser name, or the custom site's ID.
+ * @param {Array<object>} [sites] - The custom sites.
+ * @returns {string} The display name, or the ID if it is unknown.
+ */
+function getPlatformName(id, sites = []) {
+  const platform = SETTINGS_PLATFORMS.find(candidate => candidate.id === id) || sites.find(site => site.id === id);
+  return platform ? platform.name : id;
+}
+
+/**
+ * @function explain
+ * @description Explains why no navigator is running in a tab.
+ * @param {chrome.tabs.Tab} tab - The active tab.
+ * @returns {Promise<string>} The explanation.
+ */
+async function explain(tab) {
+  if (!tab || !/^https?:/.test(tab.url || '')) {
+    return 'Chrome doesn\'t let extensions run on this page.';
+  }
+
+  const platform = findPlatform(tab.url);
+  const site = platform ? null : await new CustomSiteStore().findForUrl(tab.url);
+  if (site) {
+    const allowed = await chrome.permissions.contains({ origins: [site.matches] });
+    return allowed
+      ? `${site.name} is a custom site, but the navigator isn't running in this tab yet. Reload the page.`
+      : `${site.name} is a custom site, but Chat Navigator hasn't been allowed to run there. Click Allow next to it in the options.`;
+  }
+  if (!platform) {
+    const names = SETTINGS_PLATFORMS.map(candidate => candidate.name).join(', ');
+    return `Nothing is injected on ${new URL(tab.url).hostname}. Chat Navigator runs on ${names}, and on custom sites you add in the options.`;
+  }
+
+  return `${platform.name} is supported, but the navigator isn't running in this tab yet. If the page was open before the extension was installed or updated, reload it.`;
+}
+
+/**
+ * @function renderList
+ * @description Fills a popup section with entries, hiding it when there are none.
+ * @param {string} name - The section's class name.
+ * @param {Array<object>} items - The entries to show.
+ * @param {function(object): {text: string, meta?: string, current?: boolean, data: object}} describe - Describes an entry.
+ */
+function renderList(name, items, describe) {
+  const section = popup.querySelector(`.${name}`);
+  const list = section.querySelector('.list');
+  list.replaceChildren();
+
+  items.forEach(item => {
+    const { text, meta, current, data } = describe(item);
+    const button = document.createElement('button');
+    button.type = 'button';
+    Object.assign(button.dataset, data);
+    if (current) {
+      button.classList.add('current');
+      button.setAttribute('aria-current', 'true');
+    }
+
+    const label = document.createElement('span');
+    label.className = 'text';
+    label.textContent = text;
+    button.append(label);
+
+    if (meta) {
+      const detail = document.createElement('span');
+      detail.className = 'meta';
+      detail.textContent = meta;
+      button.append(detail);
+    }
+
+    const entry = document.createElement('li');
+    entry.append(button);
+    list.append(entry);
+  });
+
+  section.hidden = items.length === 0;
+}
+
+/**
+ * @function renderState
+ * @description Shows the navigator's questions and chats, or why there are none.
+ * @param {object} state - The navigator state from the content script.
+ */
+function renderState(state) {
+  const status = popup.querySelector('.status');
+  const platformName = state.siteName || getPlatformName(state.platform);
+
+  if (!state.enabled) {
+    status.textContent = `Chat Navigator is turned off for ${platformName}. Turn it back on in the options.`;
+    return;
+  }
+
+  const { index, total } = state.position;
+  status.textContent = total
+    ? `${platformName} · ${state.parser} · question ${index + 1 || '–'} of ${total}`
+    : `${platformName} · ${state.parser} · no questions in this chat yet`;
+
+  renderList('questions', state.questions, question => ({
+    text: question.text,
+    current: state.questions[index] === question,
+    data: { elementId: question.id }
+  }));
+
+  // A chat read without a link has nowhere to go from here
+  renderList('chats', state.chats.filter(chat => chat.url), chat => ({
+    text: chat.title,
+    current: chat.current,
+    data: { url: chat.url }
+  }));
+
+  popup.querySelector('.export').hidden = total === 0;
+  popup.querySelector('.show-diagnostics').hidden = false;
+
+  if (state.warnings.length) {
+    const warning = popup.querySelector('.warning');
+    warning.textContent = state.warnings.join(' ');
+    warning.hidden = false;
+  }
+}
+
+/**
+ * @function renderRecent
+ * @description Lists the most recently visited chats on every platform, except the one open in the tab.
+ * @param {string} currentUrl - The normalized URL of the tab's conversation, if any.
+ */
+async function renderRecent(currentUrl) {
+  const recent = (await chatIndex.search('', 11)).filter(chat => chat.url !== currentUrl).slice(0, 10);
+  const sites = await new CustomSiteStore().getAll();
+
+  renderList('recent', recent, chat => ({
+    text: chat.title || chat.url,
+    meta: `${getPlatformName(chat.platform, sites)} · ${new Date(chat.lastSeen).toLocaleDateString()}`,
+    data: { url: chat.url }
+  }));
+}
+
+/**
+ * @function openUrl
+ * @description Opens a chat in the active tab, or in a background tab for modified and middle clicks.
+ * @param {chrome.tabs.Tab} tab - The active tab.
+ * @param {string} url - The chat URL.
+ * @param {MouseEvent} event - The click.
+ */
+function openUrl(tab, url, event) {
+  if (event.ctrlKey || event.metaKey || event.button === 1) {
+    chrome.tabs.create({ url, active: false });
+    return;
+  }
+
+  chrome.tabs.update(tab.id, { url });
+  window.close();
+}
+
+/**
+ * @function bindEvents
+ * @description Handles clicks on questions, chats, export formats and the footer buttons.
+ * @param {chrome.tabs.Tab} tab - The active tab.
+ */
+function bindEvents(tab) {
+  const onClick = (e) => {
+    const button = e.target.closest('button');
+    if (!button || (e.type === 'auxclick' && e.button !== 1)) return;
+
+    if (button.dataset.elementId) {
+      chrome.tabs.sendMessage(tab.id, { type: 'chatNavigatorJump', elementId: button.dataset.elementId });
+      window.close();
+    } else if (button.dataset.url) {
+      openUrl(tab, button.dataset.url, e);
+    } else if (button.dataset.exportFormat) {
+      chrome.tabs.sendMessage(tab.id, { type: 'chatNavigatorExport', format: button.dataset.exportFormat });
+    } else if (button.classList.contains('show-diagnostics')) {
+      chrome.tabs.sendMessage(tab.id, { type: 'chatNavigatorCommand', command: 'toggle-diagnostics' });
+      window.close();
+    } else if (button.classList.contains('open-options')) {
+      chrome.runtime.openOptionsPage();
+    }
+  };
+
+  popup.addEventListener('click', onClick);
+  popup.addEventListener('auxclick', onClick);
+}
+
+/**
+ * @function init
+ * @description Loads the active tab's navigator state and the recent chats.
+ */
+async function init() {
+  const tab = await getActiveTab();
+  const state = tab ? await getState(tab.id) : null;
+
+  if (state) {
+    renderState(state);
+  } else {
+    popup.querySelector('.status').textContent = await explain(tab);
+  }
+
+  bindEvents(tab);
+  renderRecent(state ? state.url : '');
+}
+
+init();
@@ -0,0 +1,63 @@
+/**
+ * @file Captures the open chat page as a test fixture. Paste this file into the DevTools console
+ * on a conversation (ideally a throwaway one, since its text ends up in the repository) and it
+ * downloads `<platform>.html`; save it under `test/fixtures/` and record the expected output in
+ * the platform's tests. The capture keeps the markup the parsers read and drops what they never
+ * look at: scripts, styles, media data and the navigator's own elements.
+ */
+
+/**
+ * @constant {string} FIXTURE_DROP_SELECTOR
+ * @description Elements left out of fixtures. SVG icons keep their element, without their paths.
+ */
+const FIXTURE_DROP_SELECTOR = 'script, style, link, noscript, iframe, template, canvas, video, audio, chat-navigator';
+
+/**
+ * @function captureFixture
+ * @description Serializes a page as a fixture.
+ * @param {Document} document - The page to capture.
+ * @returns {string} The fixture HTML, naming the page's URL in a `chat-navigator-fixture-url` meta tag.
+ */
+function captureFixture(document) {
+  const root = document.documentElement.cloneNode(true);
+
+  root.querySelectorAll(FIXTURE_DROP_SELECTOR).forEach(element => element.remove());
+  root.querySelectorAll('svg').forEach(svg => svg.replaceChildren());
+  root.querySelectorAll('*').forEach(element => {
+    [...element.attributes].forEach(({ name, value }) => {
+      const isData = (name === 'src' || name === 'href') && value.startsWith('data:');
+      if (name === 'style' || name === 'srcset' || name.startsWith('on') || name === 'data-chat-nav-id' || isData) {
+        element.removeAttribute(name);
+      }
+    });
+  });
+
+  // Query strings can carry session tokens; the parsers only read the path
+  const { origin, pathname } = document.location;
+  const head = root.querySelector('head') || root.insertBefore(document.createElement('head'), root.firstChild);
+  const meta = document.createElement('meta');
+  meta.setAttribute('name', 'chat-navigator-fixture-url');
+  meta.setAttribute('content', origin + pathname);
+  head.prepend(meta);
+
+  return `<!DOCTYPE html>\n${root.outerHTML}\n`;
+}
+
+/**
+ * @function downloadFixture
+ * @description Captures the current page and downloads it, named after the site.
+ */
+function downloadFixture() {
+  const name = window.location.hostname.replace(/^(www|chat)\./, '').split('.')[0];
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(new Blob([captureFixture(document)], { type: 'text/html' }));
+  link.download = `${name}.html`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+if (typeof module === 'object') {
+  module.exports = { captureFixture };
+} else {
+  downloadFixture();
+}
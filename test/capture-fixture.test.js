@@ -0,0 +1,48 @@
+/**
+ * @file Checks that captured fixtures keep what the parsers read and drop the rest.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const { captureFixture } = require('./capture-fixture');
+const { loadPage, startUI, plain } = require('./harness');
+
+describe('captureFixture', () => {
+  it('drops scripts, styles, inline handlers and the navigator, and records the URL without its query', async () => {
+    const page = loadPage('chatgpt');
+    const parser = new (page.evaluate('ChatGPTParser'))();
+    await startUI(page, parser);
+    const { document } = page;
+    document.head.insertAdjacentHTML('beforeend', '<script>window.secret = 1;</script><style>body { color: red; }</style>');
+    document.body.setAttribute('onload', 'track()');
+    document.querySelector('main').setAttribute('style', 'height: 100px');
+    page.window.history.replaceState(null, '', '?model=gpt-4o&token=abc');
+
+    const html = captureFixture(document);
+    const captured = new JSDOM(html).window.document;
+
+    assert.equal(captured.querySelectorAll('script, style, chat-navigator').length, 0);
+    assert.equal(captured.querySelectorAll('[style], [onload], [data-chat-nav-id]').length, 0);
+    assert.equal(
+      captured.querySelector('meta[name="chat-navigator-fixture-url"]').content,
+      'https://chatgpt.com/c/6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44'
+    );
+    assert.equal(captured.querySelectorAll('[data-message-author-role="user"]').length, 4);
+    page.close();
+  });
+
+  it('produces a page the parsers read the same way as the original', () => {
+    const original = loadPage('claude');
+    const html = captureFixture(original.document);
+    const captured = loadPage('claude', { html });
+    const extract = page => {
+      const parser = new (page.evaluate('ClaudeParser'))();
+      return plain({ questions: parser.getQuestions(), chats: parser.getChats() });
+    };
+
+    assert.deepStrictEqual(extract(captured), extract(original));
+    original.close();
+    captured.close();
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * @file Checks how ChatIndex records visited conversations and ranks them in search, against an
+ * in-memory IndexedDB.
+ */
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { IDBFactory } = require('fake-indexeddb');
+const { plain } = require('./harness');
+
+/**
+ * @function loadChatIndex
+ * @description Runs chat-index.js the way the service worker does, with its own empty IndexedDB.
+ * @param {function(): number} clock - Supplies `Date.now()` inside the script.
+ * @returns {function} The ChatIndex class.
+ */
+function loadChatIndex(clock) {
+  const file = path.join(__dirname, '..', 'chat-index.js');
+  const context = vm.createContext({ indexedDB: new IDBFactory() });
+  context.self = context;
+  new vm.Script('Date').runInContext(context).now = clock;
+  new vm.Script(fs.readFileSync(file, 'utf8'), { filename: file }).runInContext(context);
+  return context.ChatIndex;
+}
+
+describe('ChatIndex', () => {
+  let index;
+  let now;
+
+  /**
+   * @function recordAt
+   * @description Records a conversation as last seen at the given time.
+   * @param {number} time - The `lastSeen` timestamp.
+   * @param {object} entry - The conversation.
+   * @returns {Promise<object>} The saved entry.
+   */
+  const recordAt = (time, entry) => {
+    now = time;
+    return index.record({ platform: 'chatgpt', questions: [], ...entry });
+  };
+
+  beforeEach(async () => {
+    index = new (loadChatIndex(() => now))();
+
+    await recordAt(1000, { url: 'https://chatgpt.com/c/1', title: 'Sorting dicts in Python', questions: ['How do I sort a list of dicts?'] });
+    await recordAt(2000, { url: 'https://claude.ai/chat/2', platform: 'claude', title: 'Trip planning', questions: ['Where to go in Lisbon?', 'Best way to sort luggage for a week?'] });
+    await recordAt(3000, { url: 'https://grok.com/chat/3', platform: 'grok', title: 'Regex help', questions: ['Match dates in Python'] });
+  });
+
+  it('requires every word of the query in the title or a question, ignoring case', async () => {
+    const results = plain(await index.search('PYTHON sort'));
+
+    assert.deepStrictEqual(results.map(result => result.url), ['https://chatgpt.com/c/1']);
+    assert.equal(results[0].matchedQuestion, 'How do I sort a list of dicts?');
+  });
+
+  it('ranks title matches first, then the most recently seen', async () => {
+    const results = plain(await index.search('python'));
+
+    assert.deepStrictEqual(results.map(result => result.url), ['https://chatgpt.com/c/1', 'https://grok.com/chat/3']);
+    assert.deepStrictEqual(results.map(result => result.matchedQuestion), [null, 'Match dates in Python']);
+    assert.deepStrictEqual(Object.keys(results[0]).sort(), ['lastSeen', 'matchedQuestion', 'platform', 'title', 'url']);
+  });
+
+  it('names the first question that matches a word', async () => {
+    const [result] = await index.search('luggage');
+
+    assert.equal(result.url, 'https://claude.ai/chat/2');
+    assert.equal(result.matchedQuestion, 'Best way to sort luggage for a week?');
+  });
+
+  it('lists the most recently seen conversations for an empty query, up to the limit', async () => {
+    const results = plain(await index.search('  ', 2));
+
+    assert.deepStrictEqual(results.map(result => result.url), ['https://grok.com/chat/3', 'https://claude.ai/chat/2']);
+    assert.deepStrictEqual(results.map(result => result.matchedQuestion), [null, null]);
+  });
+
+  it('keeps the recorded title and questions when a revisit saves them empty', async () => {
+    await recordAt(4000, { url: 'https://chatgpt.com/c/1', title: '', questions: [] });
+    const [result] = await index.search('dicts');
+
+    assert.equal(result.title, 'Sorting dicts in Python');
+    assert.equal(result.matchedQuestion, 'How do I sort a list of dicts?');
+    assert.equal(result.lastSeen, 4000);
+    assert.equal(await index.count(), 3);
+  });
+
+  it('finds nothing once cleared', async () => {
+    await index.clear();
+
+    assert.deepStrictEqual(plain(await index.search('')), []);
+  });
+});
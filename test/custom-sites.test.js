@@ -0,0 +1,57 @@
+/**
+ * @file Checks which URLs a custom site's match pattern covers.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./harness');
+
+describe('matchesUrlPattern', () => {
+  let page;
+  let matches;
+
+  before(() => {
+    page = loadPage('chatgpt');
+    matches = page.evaluate('matchesUrlPattern');
+  });
+
+  after(() => page.close());
+
+  it('matches the host exactly and the path by wildcard', () => {
+    assert.equal(matches('https://chat.example.com/*', 'https://chat.example.com/c/123'), true);
+    assert.equal(matches('https://chat.example.com/*', 'https://chat.example.com/'), true);
+    assert.equal(matches('https://chat.example.com/c/*', 'https://chat.example.com/settings'), false);
+    assert.equal(matches('https://chat.example.com/*', 'https://example.com/c/123'), false);
+    assert.equal(matches('https://chat.example.com/*', 'https://chat.example.com.evil.test/c/123'), false);
+  });
+
+  it('matches a leading host wildcard against the domain and its subdomains only', () => {
+    assert.equal(matches('https://*.example.com/*', 'https://example.com/'), true);
+    assert.equal(matches('https://*.example.com/*', 'https://a.b.example.com/chat'), true);
+    assert.equal(matches('https://*.example.com/*', 'https://notexample.com/'), false);
+  });
+
+  it('limits a * scheme to http and https', () => {
+    assert.equal(matches('*://chat.example.com/*', 'http://chat.example.com/'), true);
+    assert.equal(matches('*://chat.example.com/*', 'https://chat.example.com/'), true);
+    assert.equal(matches('*://chat.example.com/*', 'ftp://chat.example.com/'), false);
+    assert.equal(matches('https://chat.example.com/*', 'http://chat.example.com/'), false);
+  });
+
+  it('matches the query string as part of the path and the port as part of the host', () => {
+    assert.equal(matches('https://chat.example.com/c?id=*', 'https://chat.example.com/c?id=42'), true);
+    assert.equal(matches('http://localhost:3000/*', 'http://localhost:3000/chat'), true);
+    assert.equal(matches('http://localhost/*', 'http://localhost:3000/chat'), false);
+  });
+
+  it('treats regular expression characters in the path literally', () => {
+    assert.equal(matches('https://chat.example.com/a.b/*', 'https://chat.example.com/a.b/1'), true);
+    assert.equal(matches('https://chat.example.com/a.b/*', 'https://chat.example.com/axb/1'), false);
+  });
+
+  it('rejects malformed patterns and URLs', () => {
+    assert.equal(matches('chat.example.com', 'https://chat.example.com/'), false);
+    assert.equal(matches('https://chat.example.com', 'https://chat.example.com/'), false);
+    assert.equal(matches('https://*.example.com/*', 'not a url'), false);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * @file Checks the Markdown, JSON and HTML the ConversationExporter builds from a conversation.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./harness');
+
+describe('ConversationExporter', () => {
+  let page;
+  let exporter;
+
+  /**
+   * @function convert
+   * @description Converts markup to Markdown the way a turn's content is converted.
+   * @param {string} html - The turn's inner HTML.
+   * @returns {string} The Markdown.
+   */
+  const convert = html => {
+    const element = page.document.createElement('div');
+    element.innerHTML = html;
+    page.document.body.append(element);
+    const markdown = exporter.toMarkdownText(element);
+    element.remove();
+    return markdown;
+  };
+
+  const data = {
+    platform: 'chatgpt',
+    url: 'https://chatgpt.com/c/6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44',
+    title: 'Sort <dicts> & "keys"',
+    timestamp: '2024-10-21T09:30:00.000Z',
+    turns: [
+      { index: 1, role: 'user', content: 'How do I sort?', html: 'How do I sort?' },
+      { index: 2, role: 'assistant', content: 'Use `sorted()`.', html: '<p>Use <code>sorted()</code>.</p>' }
+    ]
+  };
+
+  before(() => {
+    page = loadPage('chatgpt');
+    exporter = new (page.evaluate('ConversationExporter'))(new (page.evaluate('ChatGPTParser'))());
+  });
+
+  after(() => page.close());
+
+  it('collects each turn of the conversation as Markdown', () => {
+    const turns = plain(exporter.collect().turns);
+
+    assert.deepStrictEqual(turns.map(turn => turn.role), ['user', 'assistant', 'user', 'assistant', 'assistant', 'user']);
+    assert.equal(turns[1].content, [
+      'Use `sorted()` with a `key` function.',
+      '',
+      '### With a lambda',
+      '',
+      '```python',
+      'people.sort(key=lambda p: p["age"])',
+      '```',
+      '',
+      '### With itemgetter',
+      '',
+      '```python',
+      'from operator import itemgetter',
+      'people.sort(key=itemgetter("age"))',
+      '```'
+    ].join('\n'));
+  });
+
+  it('formats the conversation as a Markdown document', () => {
+    assert.equal(exporter.toMarkdown(data), [
+      '# Sort <dicts> & "keys"',
+      '',
+      '- Platform: chatgpt',
+      '- URL: https://chatgpt.com/c/6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44',
+      '- Exported: 2024-10-21T09:30:00.000Z',
+      '',
+      '---',
+      '',
+      '## User',
+      '',
+      'How do I sort?',
+      '',
+      '---',
+      '',
+      '## Assistant',
+      '',
+      'Use `sorted()`.',
+      ''
+    ].join('\n'));
+  });
+
+  it('formats the conversation as JSON without the turns\' HTML', () => {
+    assert.deepStrictEqual(JSON.parse(exporter.toJSON(data)), {
+      platform: 'chatgpt',
+      url: 'https://chatgpt.com/c/6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44',
+      title: 'Sort <dicts> & "keys"',
+      timestamp: '2024-10-21T09:30:00.000Z',
+      turns: [
+        { index: 1, role: 'user', content: 'How do I sort?' },
+        { index: 2, role: 'assistant', content: 'Use `sorted()`.' }
+      ]
+    });
+  });
+
+  it('formats the conversation as an HTML page with cleaned markup and an escaped title', () => {
+    const element = page.document.createElement('div');
+    element.innerHTML = '<p class="prose" onclick="track()">See <a href="/docs" data-id="1">the docs</a> ' +
+      'or <a href="javascript:alert(1)">this</a>.</p><script>steal()</script><button>Copy</button>' +
+      '<pre class="language-python"><code class="language-python hljs">x = 1</code></pre>';
+    const html = exporter.toHTML({ ...data, turns: [{ index: 1, role: 'assistant', content: '', html: exporter.cleanHtml(element) }] });
+    const exported = new page.window.DOMParser().parseFromString(html, 'text/html');
+
+    assert.equal(exported.title, 'Sort <dicts> & "keys"');
+    assert.equal(exported.querySelector('.turn.assistant .content').innerHTML, '<p>See <a href="https://chatgpt.com/docs">the docs</a> ' +
+      'or <a>this</a>.</p><pre class="language-python"><code class="language-python">x = 1</code></pre>');
+  });
+
+  it('keeps blank lines and trailing spaces inside code blocks', () => {
+    assert.equal(convert('<p>Install it:</p><pre><code class="language-sh">pip install x\n\n\nrun()   \n</code></pre>' +
+      '<pre><code class="language-python">def a():\n    pass\n\n\ndef b():\n    pass\n</code></pre>'), [
+      'Install it:',
+      '',
+      '```sh',
+      'pip install x',
+      '',
+      '',
+      'run()   ',
+      '```',
+      '',
+      '```python',
+      'def a():',
+      '    pass',
+      '',
+      '',
+      'def b():',
+      '    pass',
+      '```'
+    ].join('\n'));
+  });
+
+  it('indents code blocks and nested lists under their list item', () => {
+    assert.equal(convert('<ol><li><p>Install it:</p><pre><code>pip install x\n\n\nrun()</code></pre></li>' +
+      '<li>Run it<ul><li>with <code>-v</code></li><li>or without</li></ul></li></ol>'), [
+      '1. Install it:',
+      '',
+      '   ```',
+      '   pip install x',
+      '',
+      '',
+      '   run()',
+      '   ```',
+      '2. Run it',
+      '   - with `-v`',
+      '   - or without'
+    ].join('\n'));
+  });
+
+  it('escapes pipes in table cells, including code', () => {
+    assert.equal(convert('<table><tr><th>Operator</th><th>Meaning</th></tr>' +
+      '<tr><td><code>a | b</code></td><td>either | or</td></tr>' +
+      '<tr><td><pre>x\ny | z</pre></td><td>piped</td></tr></table>'), [
+      '| Operator | Meaning |',
+      '| --- | --- |',
+      '| `a \\| b` | either \\| or |',
+      '| `x y \\| z` | piped |'
+    ].join('\n'));
+  });
+
+  it('escapes Markdown syntax in text outside code', () => {
+    assert.equal(convert('<p>Use *args and _private_ names, [x] and `tick`, not a\\b or <code>*args</code></p>' +
+      '<p># not a heading</p>'), [
+      'Use \\*args and \\_private\\_ names, \\[x\\] and \\`tick\\`, not a\\\\b or `*args`',
+      '',
+      '\\# not a heading'
+    ].join('\n'));
+  });
+});
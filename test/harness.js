@@ -0,0 +1,223 @@
+/**
+ * @file Loads a fixture page into jsdom together with the content scripts the manifest injects
+ * there, so parsers and the UI run against a page's markup without a browser. Fixtures name the
+ * URL of the page they stand for in a `chat-navigator-fixture-url` meta tag (see capture-fixture.js).
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+const FIXTURES = path.join(__dirname, 'fixtures');
+const manifest = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.json'), 'utf8'));
+
+/**
+ * @function getScripts
+ * @description Finds the scripts the manifest injects alongside a platform's parser, in order.
+ * @param {string} platform - The parser's file name, e.g. 'chatgpt'.
+ * @returns {Array<string>} The script paths, relative to the extension root.
+ */
+function getScripts(platform) {
+  const entry = manifest.content_scripts.find(candidate => candidate.js.includes(`content-scripts/${platform}.js`));
+  if (!entry) {
+    throw new Error(`The manifest injects no content-scripts/${platform}.js`);
+  }
+  return entry.js;
+}
+
+/**
+ * @function createStorageArea
+ * @description Builds an in-memory `chrome.storage` area that reports changes like Chrome does.
+ * @param {string} name - The area name, 'local' or 'sync'.
+ * @param {Array<function>} listeners - The `onChanged` listeners to notify.
+ * @returns {object} The storage area, with its contents in `data`.
+ */
+function createStorageArea(name, listeners) {
+  const data = {};
+  const notify = changes => listeners.slice().forEach(listener => listener(changes, name));
+
+  return {
+    data,
+    async get(keys) {
+      if (keys == null) return structuredClone(data);
+      const defaults = typeof keys === 'object' && !Array.isArray(keys) ? keys : {};
+      const result = {};
+      [].concat(Array.isArray(keys) || typeof keys === 'string' ? keys : Object.keys(keys)).forEach(key => {
+        if (key in data) {
+          result[key] = structuredClone(data[key]);
+        } else if (key in defaults) {
+          result[key] = defaults[key];
+        }
+      });
+      return result;
+    },
+    async set(items) {
+      const changes = {};
+      Object.entries(items).forEach(([key, value]) => {
+        changes[key] = { oldValue: data[key], newValue: structuredClone(value) };
+        data[key] = structuredClone(value);
+      });
+      notify(changes);
+    },
+    async remove(keys) {
+      const changes = {};
+      [].concat(keys).forEach(key => {
+        changes[key] = { oldValue: data[key] };
+        delete data[key];
+      });
+      notify(changes);
+    }
+  };
+}
+
+/**
+ * @function createChrome
+ * @description Builds the parts of the extension API the content scripts use.
+ * @returns {object} The `chrome` object. `runtime.sent` records messages sent to the background.
+ */
+function createChrome() {
+  const storageListeners = [];
+  const messageListeners = [];
+  const sent = [];
+
+  return {
+    storage: {
+      local: createStorageArea('local', storageListeners),
+      sync: createStorageArea('sync', storageListeners),
+      onChanged: {
+        addListener: listener => storageListeners.push(listener),
+        removeListener: listener => storageListeners.splice(storageListeners.indexOf(listener) >>> 0, 1)
+      }
+    },
+    runtime: {
+      id: 'chat-navigator-test',
+      sent,
+      getURL: file => `chrome-extension://chat-navigator-test/${file}`,
+      getManifest: () => manifest,
+      sendMessage: async message => {
+        sent.push(message);
+        return message.type === 'chatIndexSearch' ? [] : undefined;
+      },
+      onMessage: {
+        listeners: messageListeners,
+        addListener: listener => messageListeners.push(listener),
+        removeListener: listener => messageListeners.splice(messageListeners.indexOf(listener) >>> 0, 1)
+      }
+    }
+  };
+}
+
+/**
+ * @function getFixtureUrl
+ * @description Reads the URL of the page a fixture stands for.
+ * @param {string} html - The fixture.
+ * @returns {string} The URL.
+ */
+function getFixtureUrl(html) {
+  const match = /<meta name="chat-navigator-fixture-url" content="([^"]+)">/.exec(html);
+  if (!match) {
+    throw new Error('The fixture does not name its URL');
+  }
+  return match[1];
+}
+
+/**
+ * @function loadPage
+ * @description Opens a fixture in jsdom and runs the content scripts the manifest injects for a
+ * platform. The parser's own init function is held back unless `start` is set, so tests can build
+ * parsers and UIs themselves.
+ * @param {string} platform - The parser's file name, e.g. 'chatgpt'.
+ * @param {object} [options]
+ * @param {string} [options.fixture] - The fixture to load, defaulting to the platform's.
+ * @param {string} [options.html] - A fixture's contents, loaded instead of a fixture file.
+ * @param {boolean} [options.start=false] - Let the platform's init function start the navigator.
+ * @param {function(Window): void} [options.beforeScripts] - Adjusts the window before the scripts run.
+ * @returns {{window: Window, document: Document, chrome: object, evaluate: function(string): *, close: function(): void}} The page.
+ */
+function loadPage(platform, { fixture = platform, html, start = false, beforeScripts } = {}) {
+  const page = html || fs.readFileSync(path.join(FIXTURES, `${fixture}.html`), 'utf8');
+  const dom = new JSDOM(page, { url: getFixtureUrl(page), runScripts: 'outside-only', pretendToBeVisual: true });
+  const { window } = dom;
+  const chrome = createChrome();
+
+  // Browser APIs jsdom lacks
+  window.chrome = chrome;
+  window.CSS = window.CSS || {};
+  window.CSS.escape = window.CSS.escape || (value => String(value).replace(/[^\w-]/g, char => `\\${char}`));
+  window.Element.prototype.scrollIntoView = function () {};
+  window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  window.fetch = async resource => {
+    const file = String(resource).replace(chrome.runtime.getURL(''), '');
+    const body = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    return { ok: true, text: async () => body };
+  };
+  if (!window.CSSStyleSheet.prototype.replaceSync) {
+    window.CSSStyleSheet = class {
+      replaceSync(text) {
+        this.text = text;
+      }
+    };
+  }
+  window.chatNavigatorInitialized = !start;
+  if (beforeScripts) {
+    beforeScripts(window);
+  }
+
+  const context = dom.getInternalVMContext();
+  getScripts(platform).forEach(script => {
+    const source = fs.readFileSync(path.join(ROOT, script), 'utf8');
+    new vm.Script(source, { filename: path.join(ROOT, script) }).runInContext(context);
+  });
+
+  return {
+    window,
+    document: window.document,
+    chrome,
+    // Classes declared by the scripts live in the page's global scope, not on window
+    evaluate: expression => new vm.Script(expression).runInContext(context),
+    close: () => window.close()
+  };
+}
+
+/**
+ * @function startUI
+ * @description Creates the navigator UI for a parser and waits for its first render.
+ * @param {object} page - The page from loadPage().
+ * @param {object} parser - The parser to drive the UI with.
+ * @returns {Promise<object>} The ChatNavigatorUI.
+ */
+async function startUI(page, parser) {
+  const ui = new (page.evaluate('ChatNavigatorUI'))(parser);
+  await settle(page);
+  return ui;
+}
+
+/**
+ * @function settle
+ * @description Lets pending storage reads, timers and mutation callbacks in the page run.
+ * @param {object} page - The page from loadPage().
+ * @param {number} [ms=50] - How long to wait.
+ * @returns {Promise<void>} Resolves after the wait.
+ */
+function settle(page, ms = 50) {
+  return new Promise(resolve => page.window.setTimeout(resolve, ms));
+}
+
+/**
+ * @function plain
+ * @description Copies a value made in the page into this realm, so `assert.deepStrictEqual` compares
+ * contents rather than the page's Object and Array prototypes.
+ * @param {*} value - The value to copy.
+ * @returns {*} The copy.
+ */
+function plain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = { loadPage, startUI, settle, plain, getScripts };
@@ -0,0 +1,69 @@
+/**
+ * @file Checks that NavigationWatcher reports switching conversations and ignores changes within one.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, settle } = require('./harness');
+
+describe('NavigationWatcher', () => {
+  let page;
+  let watcher;
+  let changes;
+
+  /**
+   * @function navigate
+   * @description Changes the URL the way a single-page app's router does, then reports it the way navigation-hook.js does.
+   * @param {string} url - The URL to go to, relative to the page.
+   */
+  const navigate = url => {
+    page.window.history.pushState(null, '', url);
+    page.window.dispatchEvent(new page.window.Event('chatnavigator:locationchange'));
+  };
+
+  beforeEach(() => {
+    page = loadPage('chatgpt');
+    watcher = new (page.evaluate('NavigationWatcher'))(20);
+    changes = [];
+    watcher.addEventListener('conversationchange', event => changes.push({ ...event.detail }));
+    watcher.start();
+  });
+
+  afterEach(() => {
+    watcher.stop();
+    page.close();
+  });
+
+  it('reports a History API change to another conversation with the previous URL', () => {
+    navigate('/c/0b1c2d3e-other/');
+
+    assert.deepStrictEqual(changes, [{
+      url: 'https://chatgpt.com/c/0b1c2d3e-other',
+      previousUrl: 'https://chatgpt.com/c/6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44'
+    }]);
+  });
+
+  it('ignores query, hash and trailing slash changes within the conversation', () => {
+    navigate('?model=gpt-4o');
+    navigate('#settings');
+    navigate('/c/6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44/');
+
+    assert.deepStrictEqual(changes, []);
+  });
+
+  it('catches a change nothing reported by polling the URL', async () => {
+    page.window.history.pushState(null, '', '/c/0b1c2d3e-other');
+    assert.equal(changes.length, 0);
+
+    await settle(page);
+    assert.deepStrictEqual(changes.map(change => change.url), ['https://chatgpt.com/c/0b1c2d3e-other']);
+  });
+
+  it('stops reporting once stopped', async () => {
+    watcher.stop();
+    navigate('/c/0b1c2d3e-other');
+    await settle(page);
+
+    assert.deepStrictEqual(changes, []);
+  });
+});
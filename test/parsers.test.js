@@ -0,0 +1,907 @@
+/**
+ * @file Runs each platform parser against its fixture and checks the exact questions and chats it
+ * extracts, including which selector strategy found them and what was dropped, plus the shared
+ * deduplication and drift checks.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./harness');
+
+describe('platform parsers', () => {
+  describe('ChatGPTParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('chatgpt');
+      parser = new (page.evaluate('ChatGPTParser'))();
+    });
+
+    after(() => page.close());
+
+    it('lists each user turn once with its details, skipping the image-only turn', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'chatgpt-aaa2b3c4-0001-4d5e-8f90-1a2b3c4d5e6f',
+          text: 'How do I sort a list of dicts by a key in Python?',
+          fingerprint: '6yiilj',
+          turn: 1,
+          length: 49,
+          fullText: 'How do I sort a list of dicts by a key in Python?',
+          preview: 'How do I sort a list of dicts by a key in Python?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'chatgpt-aaa2b3c4-0003-4d5e-8f90-1a2b3c4d5e6f',
+          text: 'And in reverse order, newest first?',
+          fingerprint: 'pao1wg',
+          turn: 2,
+          length: 35,
+          fullText: 'And in reverse order, newest first?',
+          preview: 'And in reverse order, newest first?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: { current: 2, total: 3 }
+        },
+        {
+          id: 'chatgpt-aaa2b3c4-0007-4d5e-8f90-1a2b3c4d5e6f',
+          text: 'Here is the traceback I get when some records have no age key at all, which happens for about a thir...',
+          fingerprint: '21fkxz',
+          turn: 3,
+          length: 138,
+          fullText: 'Here is the traceback I get when some records have no age key at all, which happens for about a third of the rows:\n```\nKeyError: \'age\'\n```',
+          preview: 'Here is the traceback I get when some records have no age key at all, which happens for about a third of the rows:\n```\nKeyError: \'age\'\n```',
+          attachments: ['image'],
+          hasCode: true,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 1, skipped: 0 });
+    });
+
+    it('lists each sidebar chat once, ignoring the nested title matches and the pinned duplicate', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'chatgpt-chat-670f11aa-2b4c-8008-a1b2-3c4d5e6f7a8b',
+          title: 'Weekly meal plan',
+          url: 'https://chatgpt.com/c/670f11aa-2b4c-8008-a1b2-3c4d5e6f7a8b'
+        },
+        {
+          id: 'chatgpt-chat-6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44',
+          title: 'Sort dicts by key',
+          url: 'https://chatgpt.com/c/6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44'
+        },
+        {
+          id: 'chatgpt-chat-6717f3d1-9a0b-8008-b7c6-d5e4f3a2b1c0',
+          title: 'Explaining the difference between processes and th...',
+          url: 'https://chatgpt.com/c/6717f3d1-9a0b-8008-b7c6-d5e4f3a2b1c0'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 1 });
+    });
+  });
+
+  describe('ClaudeParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('claude');
+      parser = new (page.evaluate('ClaudeParser'))();
+    });
+
+    after(() => page.close());
+
+    it('collapses the overlapping user selectors and drops messages under the minimum length', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'claude-t7ufpw',
+          text: 'Write a regex that matches ISO 8601 dates like 2024-10-21.',
+          fingerprint: '1l395lg',
+          turn: 1,
+          length: 58,
+          fullText: 'Write a regex that matches ISO 8601 dates like 2024-10-21.',
+          preview: 'Write a regex that matches ISO 8601 dates like 2024-10-21.',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: { current: 2, total: 2 }
+        },
+        {
+          id: 'claude-1hzjzni',
+          text: 'Now check every row of the attached file against it.',
+          fingerprint: '1jvs2se',
+          turn: 2,
+          length: 52,
+          fullText: 'Now check every row of the attached file against it.',
+          preview: 'Now check every row of the attached file against it.',
+          attachments: ['file'],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 1, skipped: 0 });
+    });
+
+    it('lists the starred chat once even though Recents links it again', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'claude-chat-9a8b7c6d-5e4f-4a3b-2c1d-0e9f8a7b6c5d',
+          title: 'Cover letter draft',
+          url: 'https://claude.ai/chat/9a8b7c6d-5e4f-4a3b-2c1d-0e9f8a7b6c5d'
+        },
+        {
+          id: 'claude-chat-3f2b9c1e-7a4d-4e8b-9c2f-1d5e6a7b8c9d',
+          title: 'Regex for ISO dates',
+          url: 'https://claude.ai/chat/3f2b9c1e-7a4d-4e8b-9c2f-1d5e6a7b8c9d'
+        },
+        {
+          id: 'claude-chat-1b2c3d4e-5f6a-4b7c-8d9e-0f1a2b3c4d5e',
+          title: 'Rust lifetimes',
+          url: 'https://claude.ai/chat/1b2c3d4e-5f6a-4b7c-8d9e-0f1a2b3c4d5e'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 1 });
+    });
+  });
+
+  describe('ClaudeParser on the legacy layout', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('claude', { fixture: 'claude-legacy' });
+      parser = new (page.evaluate('ClaudeParser'))();
+    });
+
+    after(() => page.close());
+
+    it('falls back to the human message selectors', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'claude-ndharm',
+          text: 'What should I pack for a week in Iceland in March?',
+          fingerprint: 'rr8m9u',
+          turn: 1,
+          length: 50,
+          fullText: 'What should I pack for a week in Iceland in March?',
+          preview: 'What should I pack for a week in Iceland in March?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'claude-l59eq7',
+          text: 'Do I need a car to see the Golden Circle?',
+          fingerprint: '1ot4wzz',
+          turn: 2,
+          length: 41,
+          fullText: 'Do I need a car to see the Golden Circle?',
+          preview: 'Do I need a car to see the Golden Circle?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'fallback');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 1, skipped: 0 });
+    });
+
+    it('falls back to the conversation heading without a sidebar', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'claude-current-chat',
+          title: 'Packing list for Iceland',
+          url: 'https://claude.ai/chat/5c4d3e2f-1a0b-4c9d-8e7f-6a5b4c3d2e1f'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'current');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('GrokParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('grok');
+      parser = new (page.evaluate('GrokParser'))();
+    });
+
+    after(() => page.close());
+
+    it('sweeps the conversation rows, excluding the bot rows and their bubbles', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'grok-x6rguy',
+          text: 'How much water would a colony of 100 people on Mars need per day?',
+          fingerprint: '18pr122',
+          turn: 1,
+          length: 65,
+          fullText: 'How much water would a colony of 100 people on Mars need per day?',
+          preview: 'How much water would a colony of 100 people on Mars need per day?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'grok-7prti1',
+          text: 'And with 90% recycling?',
+          fingerprint: 'uwke7t',
+          turn: 2,
+          length: 23,
+          fullText: 'And with 90% recycling?',
+          preview: 'And with 90% recycling?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'conversation');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 0, skipped: 0 });
+    });
+
+    it('lists the sidebar chats', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'grok-chat-8c1d2e3f-4a5b-4c6d-9e7f-0a1b2c3d4e5f',
+          title: 'Mars colony logistics',
+          url: 'https://grok.com/chat/8c1d2e3f-4a5b-4c6d-9e7f-0a1b2c3d4e5f'
+        },
+        {
+          id: 'grok-chat-2e3f4a5b-6c7d-4e8f-9a0b-1c2d3e4f5a6b',
+          title: 'Tax brackets explained',
+          url: 'https://grok.com/chat/2e3f4a5b-6c7d-4e8f-9a0b-1c2d3e4f5a6b'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('PerplexityParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('perplexity');
+      parser = new (page.evaluate('PerplexityParser'))();
+    });
+
+    after(() => page.close());
+
+    it('lists each query once', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'perplexity-disp8u',
+          text: 'best hiking boots for wide feet',
+          fingerprint: 'disp8u',
+          turn: 1,
+          length: 31,
+          fullText: 'best hiking boots for wide feet',
+          preview: 'best hiking boots for wide feet',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'perplexity-1wta4g3',
+          text: 'waterproof?',
+          fingerprint: '1wta4g3',
+          turn: 2,
+          length: 11,
+          fullText: 'waterproof?',
+          preview: 'waterproof?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'perplexity-1tdj0se',
+          text: 'Which one is better for long wet trails in Scotland?',
+          fingerprint: 'x4r5q',
+          turn: 3,
+          length: 52,
+          fullText: 'Which one is better for long wet trails in Scotland?',
+          preview: 'Which one is better for long wet trails in Scotland?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 0, skipped: 0 });
+    });
+
+    it('uses the search query as the current chat when there is no history', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'perplexity-current-chat',
+          title: 'best hiking boots for wide feet',
+          url: 'https://www.perplexity.ai/search/best-hiking-boots-for-wide-fee-Xk2Lp9QvR8aB3cD4eF5gHw'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'current');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('GeminiParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('gemini');
+      parser = new (page.evaluate('GeminiParser'))();
+    });
+
+    after(() => page.close());
+
+    it('lists each user query', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'gemini-2aw8l6',
+          text: 'Write a haiku about autumn leaves',
+          fingerprint: 'mxlty2',
+          turn: 1,
+          length: 33,
+          fullText: 'Write a haiku about autumn leaves',
+          preview: 'Write a haiku about autumn leaves',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'gemini-v8azh9',
+          text: 'Now one about winter, please',
+          fingerprint: 't2umm5',
+          turn: 2,
+          length: 28,
+          fullText: 'Now one about winter, please',
+          preview: 'Now one about winter, please',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 0, skipped: 0 });
+    });
+
+    it('lists the conversations from the side navigation', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'gemini-chat-4f3e2d1c0b9a8f7e',
+          title: 'Haiku about autumn',
+          url: 'https://gemini.google.com/app/4f3e2d1c0b9a8f7e'
+        },
+        {
+          id: 'gemini-chat-9e8d7c6b5a4f3e2d',
+          title: 'Spreadsheet formula help',
+          url: 'https://gemini.google.com/app/9e8d7c6b5a4f3e2d'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('CopilotParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('copilot');
+      parser = new (page.evaluate('CopilotParser'))();
+    });
+
+    after(() => page.close());
+
+    it('drops the short follow-up', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'copilot-ga7nqq',
+          text: 'Ideas for a 7 year old\'s birthday party at home?',
+          fingerprint: '4vyjwy',
+          turn: 1,
+          length: 48,
+          fullText: 'Ideas for a 7 year old\'s birthday party at home?',
+          preview: 'Ideas for a 7 year old\'s birthday party at home?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 1, skipped: 0 });
+    });
+
+    it('skips the Home link and numbers chats it cannot read an ID from', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'copilot-chat-1',
+          title: 'Birthday party ideas',
+          url: 'https://copilot.microsoft.com/chats/Lm3nO4pQ5rS6tU7v'
+        },
+        {
+          id: 'copilot-chat-2',
+          title: 'Translate a menu',
+          url: 'https://copilot.microsoft.com/chats/Wx8yZ9aB0cD1eF2g'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 1, duplicate: 0 });
+    });
+  });
+
+  describe('MetaParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('meta');
+      parser = new (page.evaluate('MetaParser'))();
+    });
+
+    after(() => page.close());
+
+    it('excludes the AI rows the conversation sweep matches and drops the short reply', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'meta-iyjggk',
+          text: 'My sourdough starter smells like nail polish remover. Is it dead?',
+          fingerprint: '41k0pg',
+          turn: 1,
+          length: 65,
+          fullText: 'My sourdough starter smells like nail polish remover. Is it dead?',
+          preview: 'My sourdough starter smells like nail polish remover. Is it dead?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 1, skipped: 0 });
+    });
+
+    it('numbers chats whose links carry no recognised ID', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'meta-chat-0',
+          title: 'Sourdough starter',
+          url: 'https://www.meta.ai/c/a1b2c3d4-e5f6-4a7b-8c9d-0e1f2a3b4c5d'
+        },
+        {
+          id: 'meta-chat-1',
+          title: 'Marathon training plan',
+          url: 'https://www.meta.ai/c/f6e5d4c3-b2a1-4f9e-8d7c-6b5a4f3e2d1c'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('DeepSeekParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('deepseek');
+      parser = new (page.evaluate('DeepSeekParser'))();
+    });
+
+    after(() => page.close());
+
+    it('lists the turns without markdown as questions', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'deepseek-nfay0m',
+          text: 'Write a sieve of Eratosthenes in Go',
+          fingerprint: '5zncd2',
+          turn: 1,
+          length: 35,
+          fullText: 'Write a sieve of Eratosthenes in Go',
+          preview: 'Write a sieve of Eratosthenes in Go',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'deepseek-lebogp',
+          text: 'Make it concurrent',
+          fingerprint: '14vszuh',
+          turn: 2,
+          length: 18,
+          fullText: 'Make it concurrent',
+          preview: 'Make it concurrent',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 0, skipped: 0 });
+    });
+
+    it('lists the chat history links', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'deepseek-chat-0f9e8d7c-6b5a-4f3e-2d1c-0b9a8f7e6d5c',
+          title: 'Prime sieve in Go',
+          url: 'https://chat.deepseek.com/a/chat/s/0f9e8d7c-6b5a-4f3e-2d1c-0b9a8f7e6d5c'
+        },
+        {
+          id: 'deepseek-chat-5d6e7f8a-9b0c-4d1e-2f3a-4b5c6d7e8f9a',
+          title: 'Summarise a paper',
+          url: 'https://chat.deepseek.com/a/chat/s/5d6e7f8a-9b0c-4d1e-2f3a-4b5c6d7e8f9a'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('MistralParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('mistral');
+      parser = new (page.evaluate('MistralParser'))();
+    });
+
+    after(() => page.close());
+
+    it('uses the message IDs and keeps short follow-ups', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'mistral-msg-01',
+          text: 'When do I use the subjunctive after "bien que"?',
+          fingerprint: 'e5vo1f',
+          turn: 1,
+          length: 47,
+          fullText: 'When do I use the subjunctive after "bien que"?',
+          preview: 'When do I use the subjunctive after "bien que"?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'mistral-msg-03',
+          text: 'Example?',
+          fingerprint: '1tksla2',
+          turn: 2,
+          length: 8,
+          fullText: 'Example?',
+          preview: 'Example?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 0, skipped: 0 });
+    });
+
+    it('lists the sidebar chats, leaving out New chat', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'mistral-chat-b7c6d5e4-f3a2-4b1c-9d8e-7f6a5b4c3d2e',
+          title: 'French subjunctive',
+          url: 'https://chat.mistral.ai/chat/b7c6d5e4-f3a2-4b1c-9d8e-7f6a5b4c3d2e'
+        },
+        {
+          id: 'mistral-chat-1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d',
+          title: 'Bash loop over files',
+          url: 'https://chat.mistral.ai/chat/1a2b3c4d-5e6f-4a7b-8c9d-0e1f2a3b4c5d'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('HuggingChatParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('huggingchat');
+      parser = new (page.evaluate('HuggingChatParser'))();
+    });
+
+    after(() => page.close());
+
+    it('uses the message IDs', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'huggingchat-8d1f5e2a-0001',
+          text: 'How many feet are in 3.5 metres?',
+          fingerprint: '609mzo',
+          turn: 1,
+          length: 32,
+          fullText: 'How many feet are in 3.5 metres?',
+          preview: 'How many feet are in 3.5 metres?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'huggingchat-8d1f5e2a-0003',
+          text: 'And in inches?',
+          fingerprint: '1y1fx94',
+          turn: 2,
+          length: 14,
+          fullText: 'And in inches?',
+          preview: 'And in inches?',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 0, skipped: 0 });
+    });
+
+    it('lists the conversation links under /chat', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'huggingchat-chat-6718b3c2d1e0f9a8b7c6d5e4',
+          title: 'Unit conversions',
+          url: 'https://huggingface.co/chat/conversation/6718b3c2d1e0f9a8b7c6d5e4'
+        },
+        {
+          id: 'huggingchat-chat-6717a1b0c9d8e7f6a5b4c3d2',
+          title: 'Poem about rivers',
+          url: 'https://huggingface.co/chat/conversation/6717a1b0c9d8e7f6a5b4c3d2'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('LMArenaParser', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('lmarena');
+      parser = new (page.evaluate('LMArenaParser'))();
+    });
+
+    after(() => page.close());
+
+    it('lists the prompts of a direct chat', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'lmarena-x680iw',
+          text: 'Explain monads like I\'m five',
+          fingerprint: '1dsbiqw',
+          turn: 1,
+          length: 28,
+          fullText: 'Explain monads like I\'m five',
+          preview: 'Explain monads like I\'m five',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 0, skipped: 0 });
+    });
+
+    it('lists the sidebar chats', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'lmarena-chat-9a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d',
+          title: 'Explain monads simply',
+          url: 'https://lmarena.ai/c/9a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d'
+        },
+        {
+          id: 'lmarena-chat-3c4d5e6f-7a8b-4c9d-0e1f-2a3b4c5d6e7f',
+          title: 'CSS grid vs flexbox',
+          url: 'https://lmarena.ai/c/3c4d5e6f-7a8b-4c9d-0e1f-2a3b4c5d6e7f'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('LMArenaParser in battle mode', () => {
+    let page;
+    let parser;
+
+    before(() => {
+      page = loadPage('lmarena', { fixture: 'lmarena-battle' });
+      parser = new (page.evaluate('LMArenaParser'))();
+    });
+
+    after(() => page.close());
+
+    it('lists each prompt once although both panes repeat it', () => {
+      assert.deepStrictEqual(plain(parser.getQuestions()), [
+        {
+          id: 'lmarena-1wput95',
+          text: 'Write a limerick about the Rust borrow checker',
+          fingerprint: '8sd47t',
+          turn: 1,
+          length: 46,
+          fullText: 'Write a limerick about the Rust borrow checker',
+          preview: 'Write a limerick about the Rust borrow checker',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        },
+        {
+          id: 'lmarena-68ervu',
+          text: 'Now a haiku',
+          fingerprint: 'u900zu',
+          turn: 2,
+          length: 11,
+          fullText: 'Now a haiku',
+          preview: 'Now a haiku',
+          attachments: [],
+          hasCode: false,
+          time: null,
+          branch: null
+        }
+      ]);
+      assert.equal(parser.diagnostics.questions.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.questions.dropped), { tooShort: 0, skipped: 0 });
+    });
+
+    it('labels each answer with the pane it is in', () => {
+      assert.deepStrictEqual(plain(parser.getAnswers().map(answer => answer.text)), [
+        'Model A: A coder who borrowed with care...',
+        'Model A: Lifetimes intertwine',
+        'Model B: There once was a checker so strict...',
+        'Model B: Borrow, then give back'
+      ]);
+    });
+
+    it('lists the battle in the sidebar', () => {
+      assert.deepStrictEqual(plain(parser.getChats()), [
+        {
+          id: 'lmarena-chat-7e8f9a0b-1c2d-4e3f-8a4b-5c6d7e8f9a0b',
+          title: 'Battle: limerick about Rust',
+          url: 'https://lmarena.ai/c/7e8f9a0b-1c2d-4e3f-8a4b-5c6d7e8f9a0b'
+        }
+      ]);
+      assert.equal(parser.diagnostics.chats.strategy, 'primary');
+      assert.deepStrictEqual(plain(parser.diagnostics.chats.dropped), { untitled: 0, skipped: 0, duplicate: 0 });
+    });
+  });
+
+  describe('BaseChatParser.dedupeElements', () => {
+    let page;
+    let parser;
+
+    /**
+     * @function dedupe
+     * @description Dedupes the elements with the given IDs, in the order given.
+     * @param {Array<string>} ids - The IDs of the matched elements.
+     * @returns {Array<string>} The IDs of the elements kept.
+     */
+    const dedupe = ids => plain(parser.dedupeElements(ids.map(id => page.document.getElementById(id))).map(element => element.id));
+
+    before(() => {
+      page = loadPage('chatgpt', {
+        html: '<!DOCTYPE html><html><head><meta name="chat-navigator-fixture-url" content="https://chatgpt.com/"></head><body>' +
+          '<div id="list">' +
+            '<div id="turn1"><div id="bubble1"><p id="text1">One</p></div></div>' +
+            '<div id="turn2"><div id="bubble2">Two</div></div>' +
+            '<div id="group"><div id="turn3">Three</div><div id="turn4"><p id="text4">Four</p></div></div>' +
+          '</div></body></html>'
+      });
+      parser = new (page.evaluate('ChatGPTParser'))();
+    });
+
+    after(() => page.close());
+
+    it('drops repeated matches and sorts the rest into document order', () => {
+      assert.deepStrictEqual(dedupe(['turn2', 'turn1', 'turn2']), ['turn1', 'turn2']);
+    });
+
+    it('keeps the outermost element of a turn matched at several depths', () => {
+      assert.deepStrictEqual(dedupe(['text1', 'bubble1', 'turn1', 'bubble2', 'turn2']), ['turn1', 'turn2']);
+    });
+
+    it('drops a container wrapping several turns in favour of the turns inside it', () => {
+      assert.deepStrictEqual(dedupe(['list', 'turn1', 'turn2']), ['turn1', 'turn2']);
+      assert.deepStrictEqual(dedupe(['group', 'turn3', 'text4', 'turn4']), ['turn3', 'turn4']);
+    });
+
+    it('keeps a wrapper around a single turn', () => {
+      assert.deepStrictEqual(dedupe(['group', 'turn3']), ['group']);
+    });
+  });
+
+  describe('BaseChatParser.detectDrift', () => {
+    let page;
+    let Parser;
+
+    /**
+     * @function extract
+     * @description Builds a parser, adjusts its config the way a markup change would leave it, and runs every extraction.
+     * @param {object} [config] - Config properties to override.
+     * @returns {Array<string>} The drift warnings.
+     */
+    const extract = (config = {}) => {
+      const parser = new Parser();
+      Object.assign(parser.config, config);
+      parser.getQuestions();
+      parser.getAnswers();
+      parser.getChats();
+      return plain(parser.detectDrift());
+    };
+
+    before(() => {
+      page = loadPage('chatgpt');
+      Parser = page.evaluate('ChatGPTParser');
+    });
+
+    after(() => page.close());
+
+    it('warns about nothing when extraction finds the conversation and sidebar', () => {
+      assert.deepStrictEqual(extract(), []);
+    });
+
+    it('warns when answers are found but no questions', () => {
+      assert.deepStrictEqual(extract({ userMessageSelectors: ['[data-turn="user"]'] }), [
+        'Found 3 answers but no questions. The question selectors may be out of date.'
+      ]);
+    });
+
+    it('warns when questions are found but no answers', () => {
+      assert.deepStrictEqual(extract({ assistantMessageSelectors: ['[data-turn="assistant"]'] }), [
+        'Found 3 questions but no answers. The answer selectors may be out of date.'
+      ]);
+    });
+
+    it('warns when a conversation with content yields no messages at all', () => {
+      assert.deepStrictEqual(extract({ userMessageSelectors: ['[data-turn="user"]'], assistantMessageSelectors: ['[data-turn="assistant"]'] }), [
+        'This conversation has content, but no questions or answers were found. The message selectors may be out of date.'
+      ]);
+    });
+
+    it('warns when the sidebar links chats but the chat selectors find none', () => {
+      assert.deepStrictEqual(extract({ chatSelectors: ['[data-testid="history-item"] a'] }), [
+        'The sidebar links 4 chats, but none were found. The chat selectors may be out of date.'
+      ]);
+    });
+  });
+});
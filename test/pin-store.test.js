@@ -0,0 +1,92 @@
+/**
+ * @file Checks how PinStore saves pins in `chrome.storage.local` and hands over pending jumps.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, plain } = require('./harness');
+
+describe('PinStore', () => {
+  let page;
+  let store;
+
+  beforeEach(() => {
+    page = loadPage('chatgpt');
+    store = new (page.evaluate('PinStore'))();
+  });
+
+  afterEach(() => page.close());
+
+  it('adds pins newest first, replacing a pin with the same key', async () => {
+    await store.add({ key: 'a', text: 'First' });
+    await store.add({ key: 'b', text: 'Second' });
+    await store.add({ key: 'a', text: 'First, edited' });
+
+    assert.deepStrictEqual(plain(await store.getAll()), [
+      { key: 'a', text: 'First, edited' },
+      { key: 'b', text: 'Second' }
+    ]);
+  });
+
+  it('removes a pin by its key', async () => {
+    await store.add({ key: 'a', text: 'First' });
+    await store.add({ key: 'b', text: 'Second' });
+
+    assert.deepStrictEqual(plain(await store.remove('a')), [{ key: 'b', text: 'Second' }]);
+    assert.deepStrictEqual(plain(page.chrome.storage.local.data.chatNavigatorPins), [{ key: 'b', text: 'Second' }]);
+  });
+
+  it('keeps every change made in quick succession', async () => {
+    await Promise.all([
+      store.add({ key: 'a' }),
+      store.add({ key: 'b' }),
+      store.remove('a'),
+      store.add({ key: 'c' })
+    ]);
+
+    assert.deepStrictEqual(plain(await store.getAll()).map(pin => pin.key), ['c', 'b']);
+  });
+
+  it('carries on with later changes after one fails', async () => {
+    const failed = store.update(() => {
+      throw new Error('Broken change');
+    });
+    const added = store.add({ key: 'a' });
+
+    await assert.rejects(failed, /Broken change/);
+    assert.equal((await added).length, 1);
+  });
+
+  it('reports changes to its own key until unsubscribed', async () => {
+    const seen = [];
+    const unsubscribe = store.onChange(pins => seen.push(plain(pins).map(pin => pin.key)));
+
+    await store.add({ key: 'a' });
+    await page.chrome.storage.local.set({ chatNavigatorTemplates: [] });
+    await page.chrome.storage.sync.set({ chatNavigatorPins: [] });
+    await store.remove('a');
+    unsubscribe();
+    await store.add({ key: 'b' });
+
+    assert.deepStrictEqual(seen, [['a'], []]);
+  });
+
+  it('hands a pending jump to the conversation it targets, once', async () => {
+    const conversationUrl = 'https://chatgpt.com/c/6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44';
+    await store.setPendingJump({ key: 'a', conversationUrl });
+
+    assert.equal(await store.takePendingJump('https://chatgpt.com/c/other'), null);
+    assert.equal((await store.takePendingJump(conversationUrl)).key, 'a');
+    assert.equal(await store.takePendingJump(conversationUrl), null);
+  });
+
+  it('drops a pending jump older than two minutes', async () => {
+    const conversationUrl = 'https://chatgpt.com/c/6718a2f0-1c3e-8008-9e8b-2f5d0c1a7b44';
+    await page.chrome.storage.local.set({
+      chatNavigatorPinsPendingJump: { key: 'a', conversationUrl, requestedAt: Date.now() - 3 * 60 * 1000 }
+    });
+
+    assert.equal(await store.takePendingJump(conversationUrl), null);
+    assert.equal('chatNavigatorPinsPendingJump' in page.chrome.storage.local.data, false);
+  });
+});
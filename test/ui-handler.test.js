@@ -0,0 +1,303 @@
+/**
+ * @file Drives ChatNavigatorUI against a fixture: what its panels list and how it starts.
+ */
+
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, startUI, settle, plain } = require('./harness');
+
+/**
+ * @function getItemTexts
+ * @description Reads the entries of a panel.
+ * @param {object} ui - The ChatNavigatorUI.
+ * @param {string} type - The panel type.
+ * @returns {Array<string>} The text of each entry.
+ */
+function getItemTexts(ui, type) {
+  return [...ui.container.querySelectorAll(`[data-panel="${type}"] .nav-item .nav-item-text`)]
+    .map(element => element.textContent.trim());
+}
+
+/**
+ * @function pressKey
+ * @description Dispatches a keydown on an element inside the navigator, the way a keypress does.
+ * @param {object} page - The page from loadPage().
+ * @param {Element} element - The element with focus.
+ * @param {string} key - The key, e.g. 'Tab'.
+ * @param {object} [options] - Modifier flags such as `shiftKey`.
+ * @returns {KeyboardEvent} The event, to check whether it was handled.
+ */
+function pressKey(page, element, key, options = {}) {
+  const event = new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, composed: true, ...options });
+  element.dispatchEvent(event);
+  return event;
+}
+
+/**
+ * @constant {string} QUOTED_TEXT
+ * @description Text that breaks out of a quoted attribute unless its quotes are escaped.
+ */
+const QUOTED_TEXT = 'Why does "a" onmouseover="alert(1)" and \'b\' onfocus=\'alert(2)\' break?';
+
+describe('ChatNavigatorUI', () => {
+  let page;
+
+  afterEach(() => page.close());
+
+  it('lists the parsed questions and chats in the Q and C panels', async () => {
+    page = loadPage('chatgpt');
+    const ui = await startUI(page, new (page.evaluate('ChatGPTParser'))());
+
+    ui.togglePanel('questions');
+    assert.deepEqual(getItemTexts(ui, 'questions'), [
+      'How do I sort a list of dicts by a key in Python?',
+      'And in reverse order, newest first?',
+      'Version 1',
+      'Version 2 (shown): And in reverse order, newest first?',
+      'Version 3',
+      'Here is the traceback I get when some records have no age key at all, which happens for about a thir...'
+    ]);
+
+    ui.togglePanel('chats');
+    assert.deepEqual(getItemTexts(ui, 'chats'), [
+      'Weekly meal plan',
+      'Sort dicts by key',
+      'Explaining the difference between processes and th...'
+    ]);
+  });
+
+  it('outlines the message it jumps to', async () => {
+    page = loadPage('chatgpt');
+    const parser = new (page.evaluate('ChatGPTParser'))();
+    const ui = await startUI(page, parser);
+    const [question] = parser.getQuestions();
+
+    ui.scrollToElement(question.id);
+    const element = ui.findElement(question.id);
+    assert.equal(element.style.outline, '2px solid rgba(59, 130, 246, 0.9)');
+    assert.equal(page.document.activeElement, element);
+  });
+
+  it('finds the message it jumps to by its tag, not an element that shares the ID', async () => {
+    page = loadPage('chatgpt');
+    const parser = new (page.evaluate('ChatGPTParser'))();
+    const ui = await startUI(page, parser);
+    const [question] = parser.getQuestions();
+    const decoy = page.document.createElement('div');
+    decoy.id = question.id;
+    decoy.tabIndex = -1;
+    page.document.body.append(decoy);
+
+    // As after the platform re-renders the message
+    const message = ui.findElement(question.id);
+    message.removeAttribute('data-chat-nav-id');
+
+    ui.scrollToElement(question.id);
+    assert.equal(page.document.activeElement, message);
+    assert.equal(message.getAttribute('data-chat-nav-id'), question.id);
+  });
+
+  it('names the custom site a chat from the index comes from', async () => {
+    page = loadPage('chatgpt');
+    await page.chrome.storage.sync.set({
+      chatNavigatorCustomSites: [{ id: 'custom-acme', name: 'Acme Chat', matches: 'https://chat.acme.test/*', userMessageSelector: '.question' }]
+    });
+    const ui = await startUI(page, new (page.evaluate('ChatGPTParser'))());
+
+    const item = page.document.createElement('div');
+    item.innerHTML = ui.renderIndexedChat({ url: 'https://chat.acme.test/c/1', platform: 'custom-acme', title: 'Quarterly plan', matchedQuestion: 'Draft the plan' });
+    assert.equal(item.querySelector('.nav-item-meta').textContent, 'Acme Chat · Draft the plan');
+  });
+
+  it('shows the whole of a long question when its entry is hovered', async () => {
+    page = loadPage('chatgpt');
+    const text = `Review this plan. ${'Each step needs an owner and a date. '.repeat(20)}Then summarise it.`;
+    page.document.querySelector('[data-message-author-role="user"] .whitespace-pre-wrap').textContent = text;
+    const ui = await startUI(page, new (page.evaluate('ChatGPTParser'))());
+
+    ui.togglePanel('questions');
+    const row = ui.container.querySelector('[data-panel="questions"] .nav-item');
+    assert.equal(row.getAttribute('title'), text);
+    assert.equal(row.querySelector('.nav-item-text').textContent, `${text.slice(0, 100)}...`);
+  });
+
+  it('keeps quotes in question text inside the row\'s title attribute', async () => {
+    page = loadPage('chatgpt');
+    page.document.querySelector('[data-message-author-role="user"] .whitespace-pre-wrap').textContent = QUOTED_TEXT;
+    const ui = await startUI(page, new (page.evaluate('ChatGPTParser'))());
+
+    ui.togglePanel('questions');
+    const row = ui.container.querySelector('[data-panel="questions"] .nav-item');
+    assert.equal(row.getAttribute('title'), QUOTED_TEXT);
+    assert.equal(row.hasAttribute('onmouseover') || row.hasAttribute('onfocus'), false);
+  });
+
+  it('labels minimap ticks with the question text, quotes included', async () => {
+    page = loadPage('chatgpt');
+    page.document.querySelector('[data-message-author-role="user"] .whitespace-pre-wrap').textContent = QUOTED_TEXT;
+    await page.chrome.storage.sync.set({ chatNavigatorSettings: { showMinimap: true } });
+    const ui = await startUI(page, new (page.evaluate('ChatGPTParser'))());
+
+    const ticks = ui.minimap.querySelectorAll('.chat-nav-minimap-tick');
+    assert.equal(ui.minimap.hidden, false);
+    assert.equal(ticks.length, 3);
+    assert.equal(ticks[0].getAttribute('title'), QUOTED_TEXT);
+    assert.equal(ticks[0].getAttribute('aria-label'), `Question 1: ${QUOTED_TEXT}`);
+    assert.equal(ticks[0].hasAttribute('onmouseover') || ticks[0].hasAttribute('onfocus'), false);
+  });
+
+  it('wraps Tab from the last item of a panel to its search box and back', async () => {
+    page = loadPage('chatgpt');
+    const ui = await startUI(page, new (page.evaluate('ChatGPTParser'))());
+
+    ui.togglePanel('chats');
+    const panel = ui.container.querySelector('[data-panel="chats"]');
+    const search = panel.querySelector('.panel-search');
+    const item = panel.querySelector('.nav-item[tabindex="0"]');
+    assert.equal(ui.root.activeElement, search);
+
+    item.focus();
+    assert.equal(pressKey(page, item, 'Tab').defaultPrevented, true);
+    assert.equal(ui.root.activeElement, search);
+
+    assert.equal(pressKey(page, search, 'Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(ui.root.activeElement, item);
+  });
+
+  it('keeps quotes in prompt text inside the template row and the save form', async () => {
+    page = loadPage('chatgpt');
+    page.document.querySelector('[data-message-author-role="user"] .whitespace-pre-wrap').textContent = 'Say "hi" onfocus="alert(1)"';
+    await page.chrome.storage.local.set({
+      chatNavigatorTemplates: [{ id: 'quoted', title: 'Quoted', text: QUOTED_TEXT, tags: [] }]
+    });
+    const parser = new (page.evaluate('ChatGPTParser'))();
+    const ui = await startUI(page, parser);
+
+    ui.togglePanel('prompts');
+    const row = ui.container.querySelector('[data-panel="prompts"] .nav-item');
+    assert.equal(row.getAttribute('title'), QUOTED_TEXT);
+    assert.equal(row.hasAttribute('onmouseover') || row.hasAttribute('onfocus'), false);
+
+    ui.openTemplateForm(parser.getQuestions()[0]);
+    const title = ui.container.querySelector('.panel-form [name="title"]');
+    assert.equal(title.value, 'Say "hi" onfocus="alert(1)"');
+    assert.equal(title.hasAttribute('onfocus'), false);
+  });
+
+  it('wraps Tab around the fields of the template form', async () => {
+    page = loadPage('chatgpt');
+    const parser = new (page.evaluate('ChatGPTParser'))();
+    const ui = await startUI(page, parser);
+
+    ui.openTemplateForm(parser.getQuestions()[0]);
+    const form = ui.container.querySelector('.panel-form');
+    const title = form.querySelector('[name="title"]');
+    const save = form.querySelector('[type="submit"]');
+
+    save.focus();
+    assert.equal(pressKey(page, save, 'Tab').defaultPrevented, true);
+    assert.equal(ui.root.activeElement, title);
+
+    assert.equal(pressKey(page, title, 'Tab', { shiftKey: true }).defaultPrevented, true);
+    assert.equal(ui.root.activeElement, save);
+  });
+
+  it('starts from the platform init function once the conversation has rendered', async () => {
+    page = loadPage('claude', { start: true });
+    await settle(page);
+
+    const hosts = page.document.querySelectorAll('chat-navigator');
+    assert.equal(hosts.length, 1);
+    // The panels live in a closed shadow root, out of reach of the page and the parser
+    assert.equal(hosts[0].shadowRoot, null);
+    assert.equal(page.document.querySelectorAll('.chat-navigator-container').length, 0);
+  });
+
+  it('waits for a message rather than the empty page layout before starting', async () => {
+    page = loadPage('claude', {
+      start: true,
+      html: '<!DOCTYPE html>\n<html><head><meta name="chat-navigator-fixture-url" content="https://claude.ai/new"></head>' +
+        '<body><nav></nav><main><div class="app-shell"></div></main></body></html>'
+    });
+    await settle(page);
+    assert.equal(page.document.querySelectorAll('chat-navigator').length, 0);
+
+    page.document.querySelector('main').insertAdjacentHTML('beforeend', '<div data-testid="user-message">Explain the borrow checker</div>');
+    await settle(page);
+    assert.equal(page.document.querySelectorAll('chat-navigator').length, 1);
+  });
+
+  it('still starts when the custom sites can\'t be read', async () => {
+    page = loadPage('claude', {
+      start: true,
+      beforeScripts: window => {
+        const { sync } = window.chrome.storage;
+        const get = sync.get;
+        sync.get = keys => keys === 'chatNavigatorCustomSites' ? Promise.reject(new Error('Storage unavailable')) : get(keys);
+        window.console.error = () => {};
+      }
+    });
+    await settle(page);
+
+    assert.equal(page.document.querySelectorAll('chat-navigator').length, 1);
+  });
+
+  it('removes its element, listeners and observer on destroy()', async () => {
+    page = loadPage('chatgpt');
+    const ui = await startUI(page, new (page.evaluate('ChatGPTParser'))());
+    let updates = 0;
+    ui.scheduleUpdate = () => updates++;
+
+    ui.destroy();
+    page.document.querySelector('main').append(page.document.createElement('article'));
+    await settle(page);
+
+    assert.equal(page.document.querySelectorAll('chat-navigator').length, 0);
+    assert.equal(page.chrome.runtime.onMessage.listeners.length, 0);
+    assert.equal(ui.cleanups.length, 0);
+    assert.equal(updates, 0);
+  });
+});
+
+describe('ChatNavigatorUI search', () => {
+  let page;
+  let ui;
+
+  before(async () => {
+    page = loadPage('chatgpt');
+    ui = await startUI(page, new (page.evaluate('ChatGPTParser'))());
+  });
+
+  after(() => page.close());
+
+  it('matches each word of the query as a substring, ignoring case and order', () => {
+    assert.deepStrictEqual(plain(ui.matchText('How do I sort a list of dicts?', 'DICTS sort')), [[24, 29], [9, 13]]);
+    assert.deepStrictEqual(plain(ui.matchText('How do I sort a list of dicts?', '  ')), []);
+  });
+
+  it('falls back to the letters of a word in order, grouping adjacent ones into ranges', () => {
+    assert.deepStrictEqual(plain(ui.matchText('reverse order', 'rvord')), [[0, 1], [2, 3], [8, 11]]);
+    assert.deepStrictEqual(plain(ui.fuzzyMatch('reverse order', 'rvord')), [[0, 1], [2, 3], [8, 11]]);
+  });
+
+  it('fails the whole query when any word matches neither way', () => {
+    assert.equal(ui.matchText('How do I sort a list of dicts?', 'sort tuples'), null);
+    assert.equal(ui.fuzzyMatch('reverse order', 'dro'), null);
+  });
+
+  it('filters the Q panel as the query is typed, keeping a match\'s versions, and highlights the matches', async () => {
+    ui.togglePanel('questions');
+    const input = ui.container.querySelector('.panel-search[data-search="questions"]');
+    input.value = 'revrs newest';
+    input.dispatchEvent(new page.window.Event('input'));
+
+    assert.deepStrictEqual(getItemTexts(ui, 'questions'), [
+      'And in reverse order, newest first?',
+      'Version 1',
+      'Version 2 (shown): And in reverse order, newest first?',
+      'Version 3'
+    ]);
+    assert.deepStrictEqual([...ui.container.querySelectorAll('[data-panel="questions"] .nav-item mark')]
+      .map(mark => mark.textContent), ['rev', 'rs', 'newest']);
+  });
+});